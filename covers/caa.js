@@ -0,0 +1,121 @@
+/**
+ * MusicBrainz / Cover Art Archive cover provider
+ *
+ * Searches MusicBrainz for the release group (album) and fetches its front
+ * cover from the Cover Art Archive. Much better coverage than iTunes for
+ * indie and classical releases. No API key required, but MusicBrainz asks
+ * for a descriptive User-Agent and at most one request per second.
+ */
+
+const { rankMatches } = require('./scoring');
+const { createClient } = require('./request');
+
+const MUSICBRAINZ_ENDPOINT = 'https://musicbrainz.org/ws/2/release-group/';
+const CAA_ENDPOINT = 'https://coverartarchive.org/release-group/';
+const USER_AGENT = 'album-visualizer/1.0.0 ( https://github.com/edkf/album-visualizer )';
+
+const SEARCH_LIMIT = 10; // Release groups fetched and scored per search
+const MAX_CANDIDATES = 3; // Best-scoring release groups checked for artwork
+
+const musicbrainz = createClient('musicbrainz', { minInterval: 1000, headers: { 'User-Agent': USER_AGENT } });
+const coverArtArchive = createClient('coverartarchive', { minInterval: 250, headers: { 'User-Agent': USER_AGENT } });
+
+/**
+ * Escape Lucene special characters for a MusicBrainz query
+ * @param {string} value - Raw value
+ * @returns {string} - Escaped value
+ */
+function escapeQuery(value) {
+  return value.replace(/([+\-&|!(){}[\]^"~*?:\\/])/g, '\\$1');
+}
+
+/**
+ * Search MusicBrainz for release groups matching artist and album
+ * @param {string} artist - Artist name
+ * @param {string} album - Album name
+ * @returns {Promise<Object[]>} - Candidates { id, artist, album, year }
+ */
+async function searchReleaseGroups(artist, album) {
+  const query = `releasegroup:"${escapeQuery(album)}" AND artist:"${escapeQuery(artist)}"`;
+  const response = await musicbrainz.get(MUSICBRAINZ_ENDPOINT, {
+    params: { query, fmt: 'json', limit: SEARCH_LIMIT }
+  });
+
+  return (response.data['release-groups'] || []).map(group => ({
+    id: group.id,
+    artist: (group['artist-credit'] || []).map(credit => credit.name + (credit.joinphrase || '')).join(''),
+    album: group.title,
+    year: group['first-release-date'] ? group['first-release-date'].slice(0, 4) : null
+  }));
+}
+
+/**
+ * Get the front cover of a release group from the Cover Art Archive
+ * @param {string} mbid - Release group MBID
+ * @returns {Promise<string|null>} - Image URL (1200px thumbnail when available)
+ */
+async function releaseGroupCover(mbid) {
+  try {
+    const response = await coverArtArchive.get(`${CAA_ENDPOINT}${mbid}`);
+    const images = response.data.images || [];
+    const front = images.find(image => image.front) || images[0];
+    if (!front) {
+      return null;
+    }
+
+    const thumbnails = front.thumbnails || {};
+    const url = thumbnails['1200'] || thumbnails.large || front.image;
+    return url ? url.replace(/^http:/, 'https:') : null;
+  } catch (error) {
+    // 404 means the release group has no artwork
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetch album artwork from MusicBrainz + Cover Art Archive
+ * Checks the best-scoring release groups until one has artwork
+ * @param {Object} track - { title, artist, album, year }
+ * @returns {Promise<Object|null>} - { url, score } or null if not found
+ * @throws {Error} - On network/API errors, so failures are not cached as "not found"
+ */
+async function caaCover(track) {
+  const artist = track.artist;
+  const album = track.album || track.title;
+  if (!artist || !album) {
+    return null;
+  }
+
+  const matches = rankMatches(track, await searchReleaseGroups(artist, album)).slice(0, MAX_CANDIDATES);
+  for (const { candidate, score } of matches) {
+    const url = await releaseGroupCover(candidate.id);
+    if (url) {
+      console.log(`[CAA] Matched "${candidate.artist} - ${candidate.album}" (score ${score.toFixed(2)}): ${url}`);
+      return { url, score };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  name: 'caa',
+  label: 'Cover Art Archive',
+
+  /**
+   * @returns {boolean} - Always available, no API key needed
+   */
+  isAvailable() {
+    return true;
+  },
+
+  /**
+   * @param {Object} track - { title, artist, album }
+   * @returns {Promise<Object|null>} - { url, score }
+   */
+  async lookup(track) {
+    return caaCover(track);
+  }
+};
@@ -0,0 +1,628 @@
+/**
+ * ArtworkCache - Persistent on-disk cache for cover lookups and image bytes
+ *
+ * Two kinds of entries share one LRU:
+ *   lookup - result of a cover provider lookup ({ url, score }), or null for
+ *            "not found" (negative caching, shorter TTL)
+ *   image  - artwork bytes (downloaded, or decoded from a data: URI), stored
+ *            as a file next to the index and addressed by an id derived
+ *            from the source URL, so /api/cover/:id URLs stay stable;
+ *            resized variants are stored the same way under "<id>-<size>.<format>",
+ *            and the cover's color palette is kept on the original's entry
+ *
+ * Images are downloaded through request.js (rate limit, retries and circuit
+ * breaker per host). A failed download is remembered for the "not found"
+ * TTL, so a broken artwork URL isn't requested again on every poll.
+ *
+ * The source URLs of the most recent images are saved with the index, so
+ * /api/cover/:id URLs (e.g. in the listening history) keep working after
+ * their image was evicted or the server restarted.
+ *
+ * The index is kept in memory (a Map in least-recently-used order) and
+ * written to index.json shortly after entries are added or removed, so
+ * results survive restarts. Access times alone only change the LRU order;
+ * they are written every ACCESS_SAVE_INTERVAL and on shutdown, so a track
+ * that keeps playing doesn't rewrite the index on every poll. Entries are
+ * evicted oldest-first when the entry or byte limit is exceeded.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { resizeImage } = require('./resize');
+const { PALETTE_VERSION, extractPalette } = require('./palette');
+const { createClient, CircuitOpenError } = require('./request');
+
+const INDEX_FILE = 'index.json';
+const SAVE_DELAY = 1000; // Batch index writes (ms)
+const ACCESS_SAVE_INTERVAL = 15 * 60 * 1000; // Write changed access times at most this often (ms)
+const DOWNLOAD_TIMEOUT = 10000;
+const MAX_KNOWN_URLS = 500; // Source URLs remembered for re-downloading evicted images
+
+class ArtworkCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Cache directory
+   * @param {number} [options.maxEntries] - Maximum number of entries (default: 2000)
+   * @param {number} [options.maxBytes] - Maximum total size in bytes (default: 200 MB)
+   * @param {number} [options.ttl] - Lifetime of found results and images in ms (default: 7 days)
+   * @param {number} [options.negativeTtl] - Lifetime of "not found" results in ms (default: 1 hour)
+   */
+  constructor({ dir, maxEntries = 2000, maxBytes = 200 * 1024 * 1024, ttl = 7 * 24 * 60 * 60 * 1000, negativeTtl = 60 * 60 * 1000 }) {
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.ttl = ttl;
+    this.negativeTtl = negativeTtl;
+
+    this.entries = new Map(); // key -> entry, least recently used first
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.saveTimer = null;
+    this.accessSaveTimer = null;
+    this.accessChanged = false; // Access times changed since the last save
+    this.downloads = new Map(); // url or variant id -> pending download/resize, so concurrent requests share one
+    this.failedDownloads = new Map(); // image id -> { error, retryAt }, downloads not tried again until retryAt
+    this.urls = new Map(); // image id -> remote URL, for images not downloaded yet or evicted (saved with the index)
+    this.lastDataUri = null; // Memo for register(): players resend the same data URI on every poll
+    this.lastDataUriId = null;
+  }
+
+  /**
+   * Stable image id for an artwork URL or data URI
+   * @param {string} url - Artwork URL or data URI
+   * @returns {string} - 40 character hex id
+   */
+  static imageId(url) {
+    return crypto.createHash('sha1').update(url).digest('hex');
+  }
+
+  /**
+   * Load the index from disk, dropping expired entries and missing image files
+   */
+  async load() {
+    let saved;
+    try {
+      saved = JSON.parse(await fs.readFile(path.join(this.dir, INDEX_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[Cache] Could not read cache index:', error.message);
+      }
+      return;
+    }
+
+    // Older versions saved only the list of entries
+    if (Array.isArray(saved)) {
+      saved = { entries: saved, urls: [] };
+    }
+    this.urls = new Map(saved.urls || []);
+
+    const now = Date.now();
+    const entries = saved.entries || [];
+    // Oldest access first, so the Map starts in LRU order
+    entries.sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const entry of entries) {
+      if (entry.expires <= now) continue;
+      if (entry.type === 'image') {
+        try {
+          await fs.access(path.join(this.dir, entry.file));
+        } catch (error) {
+          continue;
+        }
+      }
+      this.entries.set(entry.key, entry);
+      this.bytes += entry.size;
+    }
+    console.log(`[Cache] Loaded ${this.entries.size} artwork cache entries`);
+    this.evict();
+  }
+
+  /**
+   * Get a cached lookup result
+   * @param {string} key - Lookup key
+   * @param {Object} [options]
+   * @param {boolean} [options.repeat] - The same track was looked up before (a later poll):
+   *   the hit isn't counted again and the LRU order is left alone
+   * @returns {Object|undefined} - { result } (result is null for a cached "not found"), undefined on a miss
+   */
+  get(key, { repeat = false } = {}) {
+    const entry = repeat ? this.peek(key) : this.touch(key);
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+    if (!repeat) {
+      this.hits++;
+    }
+    return { result: entry.result };
+  }
+
+  /**
+   * Cache a lookup result
+   * @param {string} key - Lookup key
+   * @param {Object|null} result - { url, score }, or null to remember "not found"
+   * @param {Object} [meta] - Extra fields shown when inspecting the cache (e.g. provider)
+   */
+  set(key, result, meta = {}) {
+    const now = Date.now();
+    this.remove(key);
+    this.add({
+      key,
+      type: 'lookup',
+      ...meta,
+      result,
+      size: Buffer.byteLength(JSON.stringify(result)) + key.length,
+      created: now,
+      lastAccess: now,
+      expires: now + (result ? this.ttl : this.negativeTtl)
+    });
+  }
+
+  /**
+   * Register artwork so it can be served by id
+   * Data URIs are decoded and stored right away; remote URLs are remembered
+   * and downloaded in the background
+   * @param {string} url - Artwork URL or data URI
+   * @returns {Promise<string>} - Image id
+   */
+  async register(url) {
+    if (url.startsWith('data:')) {
+      // Only while the image is still cached - once evicted or expired it must be stored again
+      if (url === this.lastDataUri && this.peek(`image:${this.lastDataUriId}`)) {
+        return this.lastDataUriId;
+      }
+      const id = ArtworkCache.imageId(url);
+      if (!this.entries.has(`image:${id}`)) {
+        await this.getImage(url);
+      }
+      this.lastDataUri = url;
+      this.lastDataUriId = id;
+      return id;
+    }
+
+    const id = ArtworkCache.imageId(url);
+    const known = this.urls.has(id);
+    this.urls.delete(id);
+    this.urls.set(id, url);
+    if (this.urls.size > MAX_KNOWN_URLS) {
+      this.urls.delete(this.urls.keys().next().value);
+    }
+    if (!known) {
+      this.scheduleSave();
+    }
+    if (!this.entries.has(`image:${id}`)) {
+      this.getImage(url).catch(() => {}); // Logged by download()
+    }
+    return id;
+  }
+
+  /**
+   * Get artwork bytes for a URL, downloading (or decoding) and storing them on first use
+   * @param {string} url - Image URL or data URI
+   * @returns {Promise<Object>} - { buffer, contentType, etag }
+   * @throws {Error} - If the download fails or the response is not an image, or
+   *   failed recently (the same error is thrown until the download is tried again)
+   */
+  async getImage(url) {
+    const id = ArtworkCache.imageId(url);
+    const cached = await this.readImage(id);
+    if (cached) {
+      return cached;
+    }
+
+    const failed = this.failedDownloads.get(id);
+    if (failed && Date.now() < failed.retryAt) {
+      throw failed.error;
+    }
+
+    if (!this.downloads.has(url)) {
+      const download = this.download(url, id).finally(() => this.downloads.delete(url));
+      this.downloads.set(url, download);
+    }
+    return this.downloads.get(url);
+  }
+
+  /**
+   * Whether the artwork for a URL is stored or can be downloaded
+   * Failed downloads count as unavailable until they are tried again
+   * @param {string} url - Image URL or data URI
+   * @returns {Promise<boolean>}
+   */
+  async hasImage(url) {
+    if (this.peek(`image:${ArtworkCache.imageId(url)}`)) {
+      return true;
+    }
+    try {
+      await this.getImage(url);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get artwork bytes by image id
+   * @param {string} id - Image id from register()
+   * @returns {Promise<Object|null>} - { buffer, contentType, etag }, or null if the id is unknown
+   * @throws {Error} - If a re-download fails
+   */
+  async getImageById(id) {
+    const cached = await this.readImage(id);
+    if (cached) {
+      return cached;
+    }
+
+    // Evicted or not downloaded yet - fetch again if we know where it came from
+    const url = this.urls.get(id);
+    return url ? this.getImage(url) : null;
+  }
+
+  /**
+   * Get a downscaled variant of an image, resizing and storing it on first use
+   * @param {string} id - Image id from register()
+   * @param {number} size - Variant size (see resize.snapSize)
+   * @param {string} format - 'jpeg' or 'webp'
+   * @returns {Promise<Object|null>} - { buffer, contentType, etag }, or null if the id is unknown.
+   *   The original is returned when it is already small enough or can't be resized
+   */
+  async getImageVariant(id, size, format) {
+    const variantId = `${id}-${size}.${format}`;
+    const cached = await this.readImage(variantId);
+    if (cached) {
+      return cached;
+    }
+
+    const original = await this.getImageById(id);
+    if (!original) {
+      return null;
+    }
+
+    if (!this.downloads.has(variantId)) {
+      const resize = this.resize(original, variantId, size, format).finally(() => this.downloads.delete(variantId));
+      this.downloads.set(variantId, resize);
+    }
+    return this.downloads.get(variantId);
+  }
+
+  /**
+   * Resize an image and add the variant to the cache
+   * @param {Object} original - { buffer, contentType, etag }
+   * @param {string} variantId - Variant image id
+   * @param {number} size - Variant size
+   * @param {string} format - 'jpeg' or 'webp'
+   * @returns {Promise<Object>} - { buffer, contentType, etag }
+   */
+  async resize(original, variantId, size, format) {
+    let resized;
+    try {
+      resized = await resizeImage(original.buffer, size, format);
+    } catch (error) {
+      console.error(`[Cache] Could not resize ${variantId}:`, error.message);
+      return original;
+    }
+    return resized ? this.store(variantId, resized.buffer, resized.contentType, null) : original;
+  }
+
+  /**
+   * Get the color palette of an image, extracting it on first use
+   * @param {string} id - Image id from register()
+   * @returns {Promise<Object|null>} - Palette (see palette.js), or null if the image is unavailable
+   */
+  async getPalette(id) {
+    const key = `image:${id}`;
+    const entry = this.entries.get(key);
+    if (entry && entry.paletteVersion === PALETTE_VERSION) {
+      return entry.palette;
+    }
+
+    const image = await this.getImageById(id);
+    if (!image) {
+      return null;
+    }
+
+    let palette = null;
+    try {
+      palette = await extractPalette(image.buffer);
+    } catch (error) {
+      // Remembered as null, so a broken image isn't decoded on every poll
+      console.error(`[Cache] Could not extract palette for ${id}:`, error.message);
+    }
+
+    const stored = this.entries.get(key);
+    if (stored) {
+      stored.palette = palette;
+      stored.paletteVersion = PALETTE_VERSION;
+      this.scheduleSave();
+    }
+    return palette;
+  }
+
+  /**
+   * Read a stored image
+   * @param {string} id - Image id
+   * @returns {Promise<Object|null>} - { buffer, contentType, etag }, or null on a miss
+   */
+  async readImage(id) {
+    const key = `image:${id}`;
+    const entry = this.touch(key);
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+
+    try {
+      const buffer = await fs.readFile(path.join(this.dir, entry.file));
+      this.hits++;
+      return { buffer, contentType: entry.contentType, etag: entry.etag };
+    } catch (error) {
+      // File was removed behind our back
+      this.remove(key);
+      this.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Download (or decode) an image and add it to the cache
+   * Failures are logged and remembered here, so callers don't log them again
+   * @param {string} url - Image URL or data URI
+   * @param {string} id - Image id
+   * @returns {Promise<Object>} - { buffer, contentType, etag }
+   */
+  async download(url, id) {
+    try {
+      const image = await this.fetchImage(url, id);
+      this.failedDownloads.delete(id);
+      return image;
+    } catch (error) {
+      // An open circuit is logged by request.js and retried once it closes
+      const circuitOpen = error instanceof CircuitOpenError;
+      if (!circuitOpen) {
+        console.error(`[Cache] Could not download ${url.slice(0, 100)}:`, error.message);
+      }
+      this.failedDownloads.set(id, { error, retryAt: circuitOpen ? error.retryAt : Date.now() + this.negativeTtl });
+      if (this.failedDownloads.size > MAX_KNOWN_URLS) {
+        this.failedDownloads.delete(this.failedDownloads.keys().next().value);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch (or decode) an image and store it
+   * @param {string} url - Image URL or data URI
+   * @param {string} id - Image id
+   * @returns {Promise<Object>} - { buffer, contentType, etag }
+   */
+  async fetchImage(url, id) {
+    let buffer;
+    let contentType;
+
+    const dataUri = url.match(/^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s);
+    if (dataUri) {
+      contentType = dataUri[1];
+      buffer = Buffer.from(dataUri[2], 'base64');
+    } else {
+      // One client per host, so a failing CDN doesn't pause the others
+      const client = createClient(`artwork ${new URL(url).host}`, { timeout: DOWNLOAD_TIMEOUT });
+      const response = await client.get(url, { responseType: 'arraybuffer' });
+      contentType = String(response.headers['content-type'] || '').split(';')[0];
+      buffer = Buffer.from(response.data);
+    }
+    if (!contentType.startsWith('image/')) {
+      throw new Error(`Not an image (${contentType || 'no content type'}): ${url.slice(0, 100)}`);
+    }
+
+    // Data URIs are not kept in the index - the stored bytes are the only copy
+    return this.store(id, buffer, contentType, dataUri ? null : url);
+  }
+
+  /**
+   * Write image bytes to disk and add them to the cache
+   * @param {string} id - Image id
+   * @param {Buffer} buffer - Image bytes
+   * @param {string} contentType - MIME type
+   * @param {string|null} url - Source URL, kept for inspection
+   * @returns {Promise<Object>} - { buffer, contentType, etag }
+   */
+  async store(id, buffer, contentType, url) {
+    const etag = `"${crypto.createHash('sha1').update(buffer).digest('hex')}"`;
+    const file = `${id}.img`;
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(path.join(this.dir, file), buffer);
+
+    const key = `image:${id}`;
+    const now = Date.now();
+    this.remove(key);
+    this.add({ key, type: 'image', url, file, contentType, etag, size: buffer.length, created: now, lastAccess: now, expires: now + this.ttl });
+    return { buffer, contentType, etag };
+  }
+
+  /**
+   * List entries for inspection, most recently used first
+   * @returns {Object[]}
+   */
+  list() {
+    return Array.from(this.entries.values()).reverse().map(entry => ({
+      key: entry.key,
+      type: entry.type,
+      provider: entry.provider,
+      url: entry.type === 'image' ? entry.url : (entry.result ? entry.result.url : null),
+      score: entry.result ? entry.result.score : undefined,
+      notFound: entry.type === 'lookup' && !entry.result,
+      size: entry.size,
+      created: new Date(entry.created).toISOString(),
+      lastAccess: new Date(entry.lastAccess).toISOString(),
+      expires: new Date(entry.expires).toISOString()
+    }));
+  }
+
+  /**
+   * Cache statistics
+   * @returns {Object} - { entries, bytes, maxEntries, maxBytes, hits, misses }
+   */
+  stats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+
+  /**
+   * Remove entries
+   * @param {Object} [filter]
+   * @param {string} [filter.key] - Remove a single entry
+   * @param {string} [filter.provider] - Remove all lookups of a provider
+   * @param {boolean} [filter.notFound] - Remove only cached "not found" results
+   * @returns {number} - Number of entries removed
+   */
+  purge({ key, provider, notFound } = {}) {
+    let removed = 0;
+    for (const entry of Array.from(this.entries.values())) {
+      const matches = (!key || entry.key === key) &&
+        (!provider || entry.provider === provider) &&
+        (!notFound || (entry.type === 'lookup' && !entry.result));
+      if (matches) {
+        this.remove(entry.key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Look up an entry, dropping it if expired
+   * @param {string} key
+   * @returns {Object|null} - Entry
+   */
+  peek(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expires <= Date.now()) {
+      this.remove(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Look up an entry, dropping it if expired and marking it most recently used
+   * @param {string} key
+   * @returns {Object|null} - Entry
+   */
+  touch(key) {
+    const entry = this.peek(key);
+    if (!entry) {
+      return null;
+    }
+
+    // Re-insert to move to the most recently used end
+    this.entries.delete(key);
+    entry.lastAccess = Date.now();
+    this.entries.set(key, entry);
+    this.scheduleAccessSave();
+    return entry;
+  }
+
+  /**
+   * Add an entry and evict if over the limits
+   * @param {Object} entry
+   */
+  add(entry) {
+    this.entries.set(entry.key, entry);
+    this.bytes += entry.size;
+    this.evict();
+    this.scheduleSave();
+  }
+
+  /**
+   * Remove an entry and its image file
+   * @param {string} key
+   */
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return;
+    }
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    if (entry.type === 'image') {
+      fs.unlink(path.join(this.dir, entry.file)).catch(() => {});
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Evict least recently used entries until within the limits
+   */
+  evict() {
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) {
+        break;
+      }
+      this.remove(key);
+    }
+  }
+
+  /**
+   * Write the index to disk after a short delay, batching bursts of changes
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY);
+  }
+
+  /**
+   * Write changed access times eventually; they only matter for the LRU
+   * order after a restart, which the shutdown save covers in the common case
+   */
+  scheduleAccessSave() {
+    this.accessChanged = true;
+    if (this.accessSaveTimer) {
+      return;
+    }
+    this.accessSaveTimer = setTimeout(() => {
+      this.accessSaveTimer = null;
+      if (this.accessChanged) {
+        this.save();
+      }
+    }, ACCESS_SAVE_INTERVAL);
+    this.accessSaveTimer.unref();
+  }
+
+  /**
+   * Write the index to disk
+   */
+  async save() {
+    // This write covers a pending delayed one
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.accessChanged = false;
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      const file = path.join(this.dir, INDEX_FILE);
+      // Write to a temp file first so a crash can't leave a truncated index
+      await fs.writeFile(`${file}.tmp`, JSON.stringify({
+        entries: Array.from(this.entries.values()),
+        urls: Array.from(this.urls.entries())
+      }));
+      await fs.rename(`${file}.tmp`, file);
+    } catch (error) {
+      console.error('[Cache] Could not write cache index:', error.message);
+    }
+  }
+}
+
+module.exports = ArtworkCache;
@@ -0,0 +1,147 @@
+/**
+ * Color math for palette extraction and theming
+ *
+ * Palettes are built in OKLab/OKLCH, a perceptual color space where equal
+ * distances look roughly equally different, so clustering and lightness
+ * adjustments behave the way they look. Contrast follows WCAG 2.x.
+ */
+
+/**
+ * sRGB channel (0-255) to linear light (0-1)
+ * @param {number} channel
+ * @returns {number}
+ */
+function toLinear(channel) {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Linear light (0-1) to sRGB channel (0-255)
+ * @param {number} value
+ * @returns {number}
+ */
+function fromLinear(value) {
+  const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+  return Math.round(Math.min(1, Math.max(0, c)) * 255);
+}
+
+/**
+ * sRGB to OKLab
+ * @param {Object} color - { r, g, b } (0-255)
+ * @returns {Object} - { L, a, b }
+ */
+function rgbToOklab({ r, g, b }) {
+  const lr = toLinear(r);
+  const lg = toLinear(g);
+  const lb = toLinear(b);
+
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+  return {
+    L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  };
+}
+
+/**
+ * OKLab to linear sRGB (may be outside 0-1 for colors out of gamut)
+ * @param {Object} lab - { L, a, b }
+ * @returns {number[]} - [r, g, b] linear
+ */
+function oklabToLinear({ L, a, b }) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ];
+}
+
+/**
+ * OKLab to OKLCH
+ * @param {Object} lab - { L, a, b }
+ * @returns {Object} - { L, C, h } (h in degrees)
+ */
+function oklabToOklch({ L, a, b }) {
+  const h = Math.atan2(b, a) * 180 / Math.PI;
+  return { L, C: Math.sqrt(a * a + b * b), h: h < 0 ? h + 360 : h };
+}
+
+/**
+ * OKLCH to sRGB, reducing chroma until the color fits in the sRGB gamut
+ * @param {Object} lch - { L, C, h }
+ * @returns {Object} - { r, g, b, hex }
+ */
+function oklchToRgb({ L, C, h }) {
+  const lightness = Math.min(1, Math.max(0, L));
+  const angle = h * Math.PI / 180;
+  let chroma = C;
+  let linear = oklabToLinear({ L: lightness, a: chroma * Math.cos(angle), b: chroma * Math.sin(angle) });
+
+  const inGamut = (values) => values.every((value) => value >= -0.0001 && value <= 1.0001);
+  while (!inGamut(linear) && chroma > 0.001) {
+    chroma *= 0.9;
+    linear = oklabToLinear({ L: lightness, a: chroma * Math.cos(angle), b: chroma * Math.sin(angle) });
+  }
+
+  const [r, g, b] = linear.map(fromLinear);
+  return { r, g, b, hex: rgbToHex(r, g, b) };
+}
+
+/**
+ * sRGB to OKLCH
+ * @param {Object} color - { r, g, b } (0-255)
+ * @returns {Object} - { L, C, h }
+ */
+function rgbToOklch(color) {
+  return oklabToOklch(rgbToOklab(color));
+}
+
+/**
+ * Convert RGB to hex
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @returns {string} - e.g. '#1a2b3c'
+ */
+function rgbToHex(r, g, b) {
+  return '#' + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
+}
+
+/**
+ * WCAG relative luminance
+ * @param {Object} color - { r, g, b } (0-255)
+ * @returns {number} - 0 (black) to 1 (white)
+ */
+function relativeLuminance({ r, g, b }) {
+  return 0.2126 * toLinear(r) + 0.7152 * toLinear(g) + 0.0722 * toLinear(b);
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ * @param {Object} first - { r, g, b }
+ * @param {Object} second - { r, g, b }
+ * @returns {number} - 1 to 21
+ */
+function contrastRatio(first, second) {
+  const a = relativeLuminance(first);
+  const b = relativeLuminance(second);
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+module.exports = {
+  rgbToOklab,
+  rgbToOklch,
+  oklabToOklch,
+  oklchToRgb,
+  rgbToHex,
+  relativeLuminance,
+  contrastRatio
+};
@@ -0,0 +1,163 @@
+/**
+ * Cover lookup fixtures
+ *
+ * Offline stand-in for the iTunes and Last.fm APIs. With COVER_FIXTURES set
+ * to a JSON or YAML catalog, requests to those APIs are answered from the
+ * catalog in the shape the real APIs return, so the providers' parsing and
+ * scoring run unchanged. Other providers are not affected.
+ *
+ * The catalog is a list of albums (or { albums: [...] }):
+ *
+ *   - artist: Artist
+ *     album: Album
+ *     year: 2020              # Optional
+ *     tracks: [Song, ...]     # Optional, for lookups by track title
+ *     artwork: covers/a.png   # Relative to the catalog, or an http(s) URL
+ */
+
+const { readDataFile, readImageDataUri } = require('../services/data-file');
+const { normalizeText } = require('../services/text-utils');
+
+const COVER_FIXTURES = process.env.COVER_FIXTURES || '';
+const MAX_RESULTS = 10; // Results per search, like the providers' SEARCH_LIMIT
+
+let catalog = null; // Loaded albums, see loadCatalog()
+
+/**
+ * Load the catalog once, with artwork files inlined as data URIs
+ * @returns {Promise<Object[]>} - [{ artist, album, year, tracks, artwork }]
+ */
+function loadCatalog() {
+  if (!catalog) {
+    catalog = (async () => {
+      const data = await readDataFile(COVER_FIXTURES);
+      const albums = Array.isArray(data) ? data : (data && data.albums) || [];
+      const entries = [];
+      for (const entry of albums) {
+        let artwork = entry.artwork || '';
+        if (artwork && !/^(https?:|data:)/i.test(artwork)) {
+          try {
+            artwork = await readImageDataUri(COVER_FIXTURES, artwork);
+          } catch (error) {
+            console.error(`[Fixtures] Could not read artwork ${entry.artwork}:`, error.message);
+            artwork = '';
+          }
+        }
+        entries.push({
+          artist: String(entry.artist || ''),
+          album: String(entry.album || ''),
+          year: entry.year ? String(entry.year) : null,
+          tracks: (entry.tracks || []).map(String),
+          artwork
+        });
+      }
+      console.log(`[Fixtures] Serving ${entries.length} albums from ${COVER_FIXTURES} instead of the iTunes and Last.fm APIs`);
+      return entries;
+    })();
+    // A broken catalog is reported on every lookup until it is fixed and the server restarted
+    catalog.catch(() => {});
+  }
+  return catalog;
+}
+
+/**
+ * Albums sharing at least one word with a search term, like a loose full-text search
+ * @param {Object[]} albums - Catalog
+ * @param {string} term - Search term
+ * @returns {Object[]}
+ */
+function search(albums, term) {
+  const words = new Set(normalizeText(term).split(' ').filter(Boolean));
+  return albums.filter(entry => {
+    const text = normalizeText([entry.artist, entry.album, ...entry.tracks].join(' '));
+    return text.split(' ').some(word => words.has(word));
+  }).slice(0, MAX_RESULTS);
+}
+
+/**
+ * Album with exactly this artist and album (normalized)
+ * @param {Object[]} albums - Catalog
+ * @param {string} artist
+ * @param {string} album
+ * @returns {Object|undefined}
+ */
+function findAlbum(albums, artist, album) {
+  return albums.find(entry => normalizeText(entry.artist) === normalizeText(artist) && normalizeText(entry.album) === normalizeText(album));
+}
+
+/**
+ * Album containing a track by this artist
+ * @param {Object[]} albums - Catalog
+ * @param {string} artist
+ * @param {string} title
+ * @returns {Object|undefined}
+ */
+function findTrack(albums, artist, title) {
+  return albums.find(entry => normalizeText(entry.artist) === normalizeText(artist) &&
+    entry.tracks.some(track => normalizeText(track) === normalizeText(title)));
+}
+
+/**
+ * Last.fm image list for an album
+ * @param {Object} entry - Catalog album
+ * @returns {Object[]} - [{ size, '#text' }]
+ */
+function lastfmImages(entry) {
+  return entry.artwork ? [{ size: 'mega', '#text': entry.artwork }] : [];
+}
+
+/**
+ * Answer an iTunes Search API request
+ * @param {string} url - Search URL with term and entity
+ * @returns {Promise<Object>} - { resultCount, results }
+ */
+async function itunesResponse(url) {
+  const params = new URL(url).searchParams;
+  const songs = params.get('entity') === 'song';
+  const results = search(await loadCatalog(), params.get('term') || '')
+    .filter(entry => entry.artwork)
+    .flatMap(entry => (songs ? entry.tracks : [null]).map(title => ({
+      artistName: entry.artist,
+      collectionName: entry.album,
+      trackName: title || undefined,
+      releaseDate: entry.year ? `${entry.year}-01-01T00:00:00Z` : undefined,
+      artworkUrl100: entry.artwork
+    })))
+    .slice(0, MAX_RESULTS);
+  return { resultCount: results.length, results };
+}
+
+/**
+ * Answer a Last.fm API request (album.getInfo, album.search, track.getInfo)
+ * @param {string} url - API endpoint
+ * @param {Object} config - Request config with params
+ * @returns {Promise<Object>} - Response data; unknown albums and tracks get Last.fm's error 6
+ */
+async function lastfmResponse(url, { params = {} } = {}) {
+  const albums = await loadCatalog();
+  const notFound = { error: 6, message: 'Not found' };
+
+  if (params.method === 'album.getInfo') {
+    const entry = findAlbum(albums, params.artist, params.album);
+    return entry ? { album: { artist: entry.artist, name: entry.album, image: lastfmImages(entry) } } : notFound;
+  }
+  if (params.method === 'album.search') {
+    const album = search(albums, params.album || '').map(entry => ({ artist: entry.artist, name: entry.album, image: lastfmImages(entry) }));
+    return { results: { albummatches: { album } } };
+  }
+  if (params.method === 'track.getInfo') {
+    const entry = findTrack(albums, params.artist, params.track);
+    if (!entry) {
+      return notFound;
+    }
+    const name = entry.tracks.find(track => normalizeText(track) === normalizeText(params.track));
+    return { track: { name, artist: { name: entry.artist }, album: { title: entry.album, image: lastfmImages(entry) } } };
+  }
+  return { error: 3, message: 'Invalid method' };
+}
+
+module.exports = {
+  enabled: Boolean(COVER_FIXTURES),
+  itunesResponse,
+  lastfmResponse
+};
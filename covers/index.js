@@ -0,0 +1,205 @@
+/**
+ * Cover Art Providers
+ *
+ * Ordered, configurable chain of artwork sources. Every provider implements:
+ *
+ *   name            - Unique provider name (used in COVER_PROVIDERS)
+ *   label           - Display name reported as coverSource (string or function of the track)
+ *   isAvailable()   - True if the provider is configured (e.g. has an API key)
+ *   lookup(track)   - Resolves { url, score } or null if not found. url is an
+ *                     artwork URL / data URI; score (0-1, see scoring.js) is how
+ *                     well the search result matched the track, null if unscored
+ *   cacheable       - Optional, false to skip the shared cache
+ *
+ * The chain tries providers in order and returns the first hit. Results,
+ * including "not found", are kept per provider and track in an ArtworkCache
+ * (see cache.js); lookups that throw are not cached, except for requests the
+ * API rejected (4xx), which are cached as "not found". Online providers make
+ * their requests through request.js, which rate limits them and skips an API
+ * for a while after repeated failures.
+ */
+
+const { CircuitOpenError, isClientError } = require('./request');
+
+// Registered providers by name
+const providers = new Map();
+
+// Lookup counters and latency per provider, for diagnostics
+const lookupStats = new Map();
+
+/**
+ * Register a cover provider
+ * @param {Object} provider - Provider implementing name/label/isAvailable/lookup
+ */
+function registerCoverProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+registerCoverProvider(require('./local'));
+registerCoverProvider(require('./caa'));
+registerCoverProvider(require('./itunes'));
+registerCoverProvider(require('./lastfm'));
+registerCoverProvider(require('./player'));
+
+/**
+ * List registered cover provider names
+ * @returns {string[]}
+ */
+function listCoverProviders() {
+  return Array.from(providers.keys());
+}
+
+/**
+ * Parse a comma-separated provider list (e.g. "local,caa,itunes,lastfm,player")
+ * Unknown names are reported and skipped
+ * @param {string} value - Comma-separated provider names
+ * @returns {string[]} - Known provider names in order
+ */
+function parseCoverProviders(value) {
+  const names = value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  for (const name of names) {
+    if (!providers.has(name)) {
+      console.error(`[Cover] Unknown cover provider "${name}". Available: ${listCoverProviders().join(', ')}`);
+    }
+  }
+  return names.filter(name => providers.has(name));
+}
+
+/**
+ * Call a provider's lookup and record the outcome and latency
+ * Lookups skipped because the provider's API is paused are only counted
+ * @param {Object} provider - Cover provider
+ * @param {Object} track - Normalized track
+ * @returns {Promise<Object|null>} - { url, score }
+ */
+async function timedLookup(provider, track) {
+  if (!lookupStats.has(provider.name)) {
+    lookupStats.set(provider.name, { found: 0, notFound: 0, errors: 0, skipped: 0, totalTime: 0, maxTime: 0, lastError: null });
+  }
+  const stats = lookupStats.get(provider.name);
+  const start = Date.now();
+
+  try {
+    const result = await provider.lookup(track);
+    stats[result ? 'found' : 'notFound']++;
+    return result;
+  } catch (error) {
+    if (error instanceof CircuitOpenError) {
+      stats.skipped++;
+      throw error;
+    }
+    stats.errors++;
+    stats.lastError = { message: error.message, time: Date.now() };
+    throw error;
+  } finally {
+    const duration = Date.now() - start;
+    stats.totalTime += duration;
+    stats.maxTime = Math.max(stats.maxTime, duration);
+  }
+}
+
+// Track of the previous resolveCover() call, so polls of the same track count as one cache hit
+let lastTrackKey = null;
+
+/**
+ * Lookup counters and latency of every provider that was called
+ * @returns {Object[]} - [{ name, lookups, found, notFound, errors, skipped, averageTime, maxTime, lastError }] (times in ms)
+ */
+function coverProviderStats() {
+  return Array.from(lookupStats.entries()).map(([name, stats]) => {
+    const lookups = stats.found + stats.notFound + stats.errors;
+    return {
+      name,
+      lookups,
+      found: stats.found,
+      notFound: stats.notFound,
+      errors: stats.errors,
+      skipped: stats.skipped,
+      totalTime: stats.totalTime,
+      averageTime: lookups ? Math.round(stats.totalTime / lookups) : null,
+      maxTime: stats.maxTime,
+      lastError: stats.lastError
+    };
+  });
+}
+
+/**
+ * Look up a cover through a single provider, using the shared cache
+ * @param {Object} provider - Cover provider
+ * @param {Object} track - Normalized track
+ * @param {ArtworkCache} [cache] - Artwork cache
+ * @param {boolean} [repeat] - Same track as the previous lookup (a later poll)
+ * @returns {Promise<Object|null>} - { url, score }
+ */
+async function lookupCached(provider, track, cache, repeat = false) {
+  if (!cache || provider.cacheable === false) {
+    return timedLookup(provider, track);
+  }
+
+  const key = `${provider.name}:${track.artist || ''}|${track.album || ''}|${track.title || ''}`.toLowerCase();
+  const cached = cache.get(key, { repeat });
+  if (cached) {
+    return cached.result;
+  }
+
+  let result;
+  try {
+    result = await timedLookup(provider, track);
+  } catch (error) {
+    if (isClientError(error)) {
+      // E.g. a bad API key: asking again on every poll won't help
+      cache.set(key, null, { provider: provider.name });
+    }
+    throw error;
+  }
+  cache.set(key, result || null, { provider: provider.name });
+  return result;
+}
+
+/**
+ * Resolve artwork for a track by trying providers in order
+ * With a cache, remote artwork is downloaded into it before it is used; when
+ * the download fails the next provider is tried
+ * @param {Object} track - Normalized track ({ title, artist, album, cover, provider })
+ * @param {Object} options
+ * @param {string[]} options.order - Provider names in priority order
+ * @param {ArtworkCache} [options.cache] - Cache for lookups and image bytes
+ * @returns {Promise<Object>} - { cover, coverSource, coverScore } (empty strings / null if nothing was found)
+ */
+async function resolveCover(track, { order, cache }) {
+  const trackKey = `${track.artist || ''}|${track.album || ''}|${track.title || ''}`;
+  const repeat = trackKey === lastTrackKey;
+  lastTrackKey = trackKey;
+
+  for (const name of order) {
+    const provider = providers.get(name);
+    if (!provider || !provider.isAvailable()) {
+      continue;
+    }
+
+    try {
+      const result = await lookupCached(provider, track, cache, repeat);
+      if (result && cache && /^https?:\/\//i.test(result.url) && !await cache.hasImage(result.url)) {
+        continue;
+      }
+      if (result) {
+        const coverSource = typeof provider.label === 'function' ? provider.label(track) : provider.label;
+        return { cover: result.url, coverSource, coverScore: result.score };
+      }
+    } catch (error) {
+      // Skipped APIs are logged once by request.js, not on every poll
+      if (!(error instanceof CircuitOpenError)) {
+        console.error(`[Cover] ${provider.name} failed:`, error.message);
+      }
+    }
+  }
+  return { cover: '', coverSource: '', coverScore: null };
+}
+
+module.exports = {
+  registerCoverProvider,
+  listCoverProviders,
+  parseCoverProviders,
+  coverProviderStats,
+  resolveCover
+};
@@ -0,0 +1,112 @@
+/**
+ * iTunes cover provider
+ *
+ * Searches the iTunes Search API for the album (no API key required), picks
+ * the best-scoring result and rewrites the artwork URL to the largest size
+ * iTunes serves.
+ */
+
+const { pickBestMatch } = require('./scoring');
+const { createClient } = require('./request');
+const fixtures = require('./fixtures');
+
+// iTunes API configuration
+const ITUNES_ENDPOINT = 'https://itunes.apple.com/search';
+const SEARCH_LIMIT = 10; // Candidates fetched and scored per search
+
+// The Search API allows roughly 20 requests per minute
+const client = createClient('itunes', {
+  minInterval: 3000,
+  timeout: 3000,
+  stub: fixtures.enabled ? fixtures.itunesResponse : null
+});
+
+/**
+ * Rewrite an iTunes artwork URL to the largest size iTunes serves
+ * @param {string} artworkUrl - artworkUrl100 / artworkUrl60 from the search API
+ * @returns {string} - High-quality artwork URL (up to 2000x2000)
+ */
+function highQualityArtwork(artworkUrl) {
+  // Try multiple strategies to get the highest quality (up to 2000x2000)
+  // Strategy 1: Replace size parameter with 2000x2000bb (maximum iTunes supports)
+  let highQualityUrl = artworkUrl.replace(/\/(\d+)x(\d+)bb\.(jpg|png|gif)/i, '/2000x2000bb.$3');
+  
+  // Strategy 2: If that didn't work, try without 'bb' suffix
+  if (highQualityUrl === artworkUrl) {
+    highQualityUrl = artworkUrl.replace(/\/(\d+)x(\d+)\.(jpg|png|gif)/i, '/2000x2000.$3');
+  }
+  
+  // Strategy 3: Try extracting base URL pattern and reconstructing with max size
+  if (highQualityUrl === artworkUrl) {
+    // iTunes URL pattern: https://isX-ssl.mzstatic.com/image/thumb/.../source/2000x2000bb.jpg
+    const baseMatch = artworkUrl.match(/^(https:\/\/is\d+-ssl\.mzstatic\.com\/image\/thumb\/[^\/]+\/[^\/]+\/)(\d+x\d+bb\.)(jpg|png|gif)$/i);
+    if (baseMatch) {
+      highQualityUrl = baseMatch[1] + '2000x2000bb.' + baseMatch[3];
+    }
+  }
+  return highQualityUrl;
+}
+
+/**
+ * Fetch album artwork from iTunes API
+ * Searches albums by artist + album name (or songs by artist + title when the
+ * album is unknown), scores the results and requests a high-quality version
+ * of the best match
+ * 
+ * @param {Object} track - { title, artist, album, year }
+ * @returns {Promise<Object|null>} - { url, score } or null if no confident match was found
+ * @throws {Error} - On network/API errors, so failures are not cached as "not found"
+ */
+async function itunesCover(track) {
+  const { title, artist, album } = track;
+  if (!artist || !(album || title)) {
+    return null;
+  }
+
+  // Build search query: artist + album name, or artist + track title
+  const entity = album ? 'album' : 'song';
+  const searchTerm = encodeURIComponent(`${artist} ${album || title}`);
+  const url = `${ITUNES_ENDPOINT}?term=${searchTerm}&entity=${entity}&limit=${SEARCH_LIMIT}`;
+  
+  // Fetch from iTunes API
+  const response = await client.get(url);
+  const results = (response.data.results || []).filter(result => result.artworkUrl100 || result.artworkUrl60);
+
+  const match = pickBestMatch(track, results.map(result => ({
+    artist: result.artistName,
+    album: result.collectionName,
+    title: result.trackName,
+    year: result.releaseDate ? result.releaseDate.slice(0, 4) : null,
+    // iTunes provides artworkUrl60 (60x60) and artworkUrl100 (100x100)
+    // We can request larger sizes by modifying the URL
+    artworkUrl: result.artworkUrl100 || result.artworkUrl60
+  })));
+  if (!match) {
+    return null;
+  }
+
+  const highQualityUrl = highQualityArtwork(match.candidate.artworkUrl);
+  console.log(`[iTunes] Matched "${match.candidate.artist} - ${match.candidate.album}" (score ${match.score.toFixed(2)})`);
+  console.log(`[iTunes] High quality: ${highQualityUrl}`);
+  return { url: highQualityUrl, score: match.score };
+}
+
+module.exports = {
+  name: 'itunes',
+  label: 'iTunes',
+
+  /**
+   * @returns {boolean} - Always available, no API key needed
+   */
+  isAvailable() {
+    return true;
+  },
+
+  /**
+   * @param {Object} track - { title, artist, album }
+   * @returns {Promise<Object|null>} - { url, score }
+   */
+  async lookup(track) {
+    return itunesCover(track);
+  }
+};
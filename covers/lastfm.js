@@ -0,0 +1,181 @@
+/**
+ * Last.fm cover provider
+ *
+ * Uses album.getInfo / album.search / track.getInfo from the Last.fm API
+ * (requires LASTFM_API_KEY). Last.fm usually has high-quality album artwork.
+ */
+
+const { pickBestMatch } = require('./scoring');
+const { createClient } = require('./request');
+const fixtures = require('./fixtures');
+
+// Last.fm API configuration
+const LASTFM_API_KEY = process.env.LASTFM_API_KEY || '';
+const LASTFM_ENDPOINT = 'https://ws.audioscrobbler.com/2.0/';
+const SEARCH_LIMIT = 10; // Candidates fetched and scored by album.search
+
+// Last.fm allows 5 requests per second on average
+const client = createClient('lastfm', {
+  minInterval: 250,
+  timeout: 3000,
+  stub: fixtures.enabled ? fixtures.lastfmResponse : null
+});
+
+/**
+ * Pick the largest image from a Last.fm image list
+ * Attempts to get the largest available image size
+ * @param {Array} images - Last.fm image array ({ size, '#text' })
+ * @returns {string|null} - High-quality artwork URL or null if the list has no URLs
+ */
+function bestImageUrl(images) {
+  // Last.fm image sizes (from smallest to largest):
+  // small (34x34), medium (64x64), large (174x174), extralarge (300x300), mega (varies, usually 300x300 to 600x600)
+  // Try largest first
+  for (const size of ['mega', 'extralarge', 'large', 'medium']) {
+    for (const img of images) {
+      if (img.size === size && img['#text']) {
+        let url = img['#text'];
+        if (url.startsWith('data:')) {
+          return url; // Inlined fixture artwork (see fixtures.js), nothing to rewrite
+        }
+        
+        // Try multiple strategies to get the highest quality
+        // Strategy 1: Remove size parameters to get original (larger) version
+        let bestUrl = url.replace(/\/\d+[sm]\.(jpg|png|gif)$/i, '/.$1')
+                         .replace(/\/\d+x\d+\.(jpg|png|gif)$/i, '/.$1')
+                         .replace(/\/\d+[sm]\.(jpg|png|gif)$/i, '/.$1');
+        
+        // Strategy 2: Try to get larger size by replacing size pattern
+        if (bestUrl === url || bestUrl.includes('undefined')) {
+          // Last.fm URL patterns: .../174s/... or .../300x300/... or .../avatar170s/...
+          // Try to get the largest available by removing size constraints
+          bestUrl = url.replace(/\/(\d+)[sm]\.(jpg|png|gif)$/i, '/.$2')
+                      .replace(/\/(\d+)x(\d+)\.(jpg|png|gif)$/i, '/.$3');
+        }
+        
+        // Strategy 3: If URL has size in path, try removing it
+        if (bestUrl === url || bestUrl.includes('undefined')) {
+          bestUrl = url.replace(/\/avatar\d+[sm]/, '')
+                      .replace(/\/\d+[sm]\//, '/')
+                      .replace(/\/\d+x\d+\//, '/');
+        }
+        
+        // Use the best URL we found, or fallback to original
+        return (bestUrl && bestUrl !== url && !bestUrl.includes('undefined')) ? bestUrl : url;
+      }
+    }
+  }
+  
+  // Fallback: use first available image
+  for (const img of images) {
+    if (img['#text']) {
+      return img['#text'];
+    }
+  }
+  return null;
+}
+
+/**
+ * Call a Last.fm API method
+ * @param {Object} params - Method and its parameters
+ * @returns {Promise<Object>} - Response data
+ */
+async function lastfmGet(params) {
+  const response = await client.get(LASTFM_ENDPOINT, {
+    params: { ...params, api_key: LASTFM_API_KEY, format: 'json' }
+  });
+  return response.data;
+}
+
+/**
+ * Score a Last.fm result and return it if it is a confident match with artwork
+ * @param {Object} track - Playing track
+ * @param {Object} candidate - { artist, album, title, images }
+ * @returns {Object|null} - { url, score }
+ */
+function acceptMatch(track, candidate) {
+  const url = candidate.images ? bestImageUrl(candidate.images) : null;
+  if (!url) {
+    return null;
+  }
+  const match = pickBestMatch(track, [candidate]);
+  if (!match) {
+    return null;
+  }
+  console.log(`[Last.fm] Matched "${candidate.artist} - ${candidate.album || candidate.title}" (score ${match.score.toFixed(2)}): ${url}`);
+  return { url, score: match.score };
+}
+
+/**
+ * Fetch album artwork from Last.fm API
+ * Tries, in order, until a result scores above the match threshold:
+ * 1. album.getInfo with the real album (usually better quality)
+ * 2. album.search with several candidates (if the exact album wasn't found)
+ * 3. track.getInfo, using the album the track belongs to
+ * 
+ * @param {Object} track - { title, artist, album, year }
+ * @returns {Promise<Object|null>} - { url, score } or null if no confident match was found
+ * @throws {Error} - On network/API errors, so failures are not cached as "not found"
+ */
+async function lastfmCover(track) {
+  const { title, artist, album } = track;
+
+  if (album) {
+    // Strategy 1: album.getInfo with autocorrect for the exact album
+    const data = await lastfmGet({ method: 'album.getInfo', artist, album, autocorrect: 1 });
+    if (data.album) {
+      const result = acceptMatch(track, { artist: data.album.artist, album: data.album.name, images: data.album.image });
+      if (result) {
+        return result;
+      }
+    }
+
+    // Strategy 2: album.search - score several candidates
+    const search = await lastfmGet({ method: 'album.search', album: `${artist} ${album}`, limit: SEARCH_LIMIT });
+    const albums = (search.results && search.results.albummatches && search.results.albummatches.album) || [];
+    const candidates = albums
+      .map(result => ({ artist: result.artist, album: result.name, url: bestImageUrl(result.image || []) }))
+      .filter(candidate => candidate.url);
+    const match = pickBestMatch(track, candidates);
+    if (match) {
+      console.log(`[Last.fm] Matched "${match.candidate.artist} - ${match.candidate.album}" (score ${match.score.toFixed(2)}): ${match.candidate.url}`);
+      return { url: match.candidate.url, score: match.score };
+    }
+  }
+
+  // Strategy 3: track.getInfo - artwork of the album the track is on
+  const data = await lastfmGet({ method: 'track.getInfo', artist, track: title, autocorrect: 1 });
+  if (data.track) {
+    const images = (data.track.album && data.track.album.image) || data.track.image;
+    return acceptMatch(track, {
+      artist: data.track.artist && data.track.artist.name,
+      title: data.track.name,
+      album: data.track.album && data.track.album.title,
+      images
+    });
+  }
+  return null;
+}
+
+module.exports = {
+  name: 'lastfm',
+  label: 'Last.fm',
+
+  /**
+   * @returns {boolean} - True if an API key is configured, or fixtures replace the API
+   */
+  isAvailable() {
+    return Boolean(LASTFM_API_KEY) || fixtures.enabled;
+  },
+
+  /**
+   * @param {Object} track - { title, artist, album }
+   * @returns {Promise<Object|null>} - { url, score }
+   */
+  async lookup(track) {
+    if (!track.artist || !track.title) {
+      return null;
+    }
+    return lastfmCover(track);
+  }
+};
@@ -0,0 +1,105 @@
+/**
+ * Local cover provider
+ *
+ * Looks up artwork in COVER_DIR, matched by file name or folder layout:
+ *   COVER_DIR/Artist - Album.jpg
+ *   COVER_DIR/Artist/Album/cover.jpg (or folder.jpg / front.jpg)
+ * Images are inlined as data URIs since the browser cannot read local files.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { listFiles } = require('../services/file-utils');
+const { normalizeText } = require('../services/text-utils');
+
+const COVER_DIR = process.env.COVER_DIR || '';
+const INDEX_TTL = 60 * 1000; // Rescan the directory at most once a minute
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+const FOLDER_IMAGE_NAMES = ['cover', 'folder', 'front'];
+
+let index = new Map(); // "artist|album" -> file path
+let indexedAt = 0;
+
+/**
+ * Build a lookup key from artist and album
+ * @param {string} artist
+ * @param {string} album
+ * @returns {string}
+ */
+function coverKey(artist, album) {
+  return `${normalizeText(artist)}|${normalizeText(album)}`;
+}
+
+/**
+ * Rebuild the file index if it is older than INDEX_TTL
+ */
+async function refreshIndex() {
+  if (Date.now() - indexedAt < INDEX_TTL) {
+    return;
+  }
+  indexedAt = Date.now();
+
+  const newIndex = new Map();
+  for (const file of await listFiles(COVER_DIR)) {
+    const ext = path.extname(file).toLowerCase();
+    if (!MIME_TYPES[ext]) continue;
+
+    const name = path.basename(file, ext);
+    const separator = name.indexOf(' - ');
+    if (separator > 0) {
+      // "Artist - Album.jpg"
+      newIndex.set(coverKey(name.slice(0, separator), name.slice(separator + 3)), file);
+    } else if (FOLDER_IMAGE_NAMES.includes(name.toLowerCase())) {
+      // "Artist/Album/cover.jpg"
+      const albumDir = path.dirname(file);
+      newIndex.set(coverKey(path.basename(path.dirname(albumDir)), path.basename(albumDir)), file);
+    }
+  }
+  index = newIndex;
+}
+
+module.exports = {
+  name: 'local',
+  label: 'Local',
+  cacheable: false, // Reading the index is cheap and the data URIs would bloat the cache
+
+  /**
+   * @returns {boolean} - True if COVER_DIR is configured
+   */
+  isAvailable() {
+    return Boolean(COVER_DIR);
+  },
+
+  /**
+   * @param {Object} track - { title, artist, album }
+   * @returns {Promise<Object|null>} - { url, score } with the image as a data URI
+   */
+  async lookup({ artist, album }) {
+    if (!artist || !album) {
+      return null;
+    }
+
+    await refreshIndex();
+    const file = index.get(coverKey(artist, album));
+    if (!file) {
+      return null;
+    }
+
+    try {
+      const buffer = await fs.readFile(file);
+      const url = `data:${MIME_TYPES[path.extname(file).toLowerCase()]};base64,${buffer.toString('base64')}`;
+      // Matched on normalized artist and album, so the match is exact
+      return { url, score: 1 };
+    } catch (error) {
+      console.error(`[Local] Could not read ${file}:`, error.message);
+      return null;
+    }
+  }
+};
@@ -0,0 +1,275 @@
+/**
+ * Cover palette extraction
+ *
+ * Computes a color palette once per cover on the server, so displays can
+ * theme themselves without drawing the artwork to a canvas (which fails for
+ * cross-origin images and is repeated by every connected display).
+ *
+ * Pixels are clustered with median cut in OKLab (see color.js), then each
+ * cluster is scored against a lightness/chroma target per role:
+ *   dominant - largest cluster
+ *   vibrant  - saturated color of medium lightness
+ *   muted    - desaturated color of medium lightness
+ *   dark     - dark color, for backgrounds
+ *   light    - light color, for text and highlights
+ * Each swatch is { r, g, b, hex, population } or null when the cover has no
+ * such color. Black-and-white and monochrome covers are flagged as grayscale
+ * and get a neutral theme instead of a tint picked from noise.
+ *
+ * The theme is built from the palette: the background is darkened (or
+ * lightened) step by step until the text on it meets WCAG AA contrast.
+ */
+
+const sharp = require('sharp');
+const { rgbToOklab, oklabToOklch, oklchToRgb, rgbToOklch, contrastRatio } = require('./color');
+
+const PALETTE_VERSION = 3; // Bump when the palette format or algorithm changes, so cached palettes are recomputed
+const SAMPLE_SIZE = 64; // Covers are downscaled to at most this many pixels per side before clustering
+const MAX_CLUSTERS = 16; // Median cut stops after this many boxes
+const MIN_SPLIT_RANGE = 0.02; // Boxes narrower than this (OKLab units) are not split further
+const PALETTE_COLORS = 5; // Number of colors returned in `colors`
+const GRAYSCALE_CHROMA = 0.03; // Average chroma below which a cover counts as grayscale
+
+// Lightness/chroma targets per role (OKLCH)
+const ROLES = {
+  vibrant: { minL: 0.45, maxL: 0.85, targetL: 0.65, minC: 0.1, maxC: Infinity, targetC: 0.2 },
+  muted: { minL: 0.35, maxL: 0.8, targetL: 0.6, minC: 0, maxC: 0.1, targetC: 0.04 },
+  dark: { minL: 0, maxL: 0.45, targetL: 0.3, minC: 0, maxC: Infinity, targetC: 0.08 },
+  light: { minL: 0.75, maxL: 1, targetL: 0.9, minC: 0, maxC: Infinity, targetC: 0.05 }
+};
+// Role scoring weights - lightness matters most, then chroma, then cluster size
+const LIGHTNESS_WEIGHT = 6;
+const CHROMA_WEIGHT = 3;
+const POPULATION_WEIGHT = 1;
+
+// Theme building
+const MIN_TEXT_CONTRAST = 4.5; // WCAG AA for normal text
+const MIN_ACCENT_CONTRAST = 3; // WCAG AA for large text and UI components
+const BACKGROUND_LIGHTNESS = 0.6; // Background starts at the dominant color's lightness times this
+const MAX_BACKGROUND_CHROMA = 0.12; // Keeps backgrounds from being garish
+const LIGHTNESS_STEP = 0.02;
+const GRADIENT_STOPS = 4; // Colors in theme.stops, for gradient and mesh backgrounds
+
+/**
+ * Split pixels into clusters of similar colors with median cut
+ * @param {Object[]} pixels - OKLab colors { L, a, b }
+ * @returns {Object[][]} - Clusters of pixels
+ */
+function medianCut(pixels) {
+  const boxes = [pixels];
+  const channels = ['L', 'a', 'b'];
+
+  const widestChannel = (box) => {
+    let best = { channel: 'L', range: 0 };
+    for (const channel of channels) {
+      let min = Infinity;
+      let max = -Infinity;
+      for (const pixel of box) {
+        min = Math.min(min, pixel[channel]);
+        max = Math.max(max, pixel[channel]);
+      }
+      if (max - min > best.range) {
+        best = { channel, range: max - min };
+      }
+    }
+    return best;
+  };
+
+  while (boxes.length < MAX_CLUSTERS) {
+    // Split the box where it matters most: many pixels spread over a wide range
+    let target = -1;
+    let targetScore = 0;
+    let targetChannel = null;
+    boxes.forEach((box, index) => {
+      if (box.length < 2) return;
+      const { channel, range } = widestChannel(box);
+      if (range < MIN_SPLIT_RANGE) return;
+      const score = box.length * range;
+      if (score > targetScore) {
+        target = index;
+        targetScore = score;
+        targetChannel = channel;
+      }
+    });
+    if (target === -1) {
+      break;
+    }
+
+    const box = boxes[target].sort((a, b) => a[targetChannel] - b[targetChannel]);
+    const middle = Math.floor(box.length / 2);
+    boxes.splice(target, 1, box.slice(0, middle), box.slice(middle));
+  }
+
+  return boxes;
+}
+
+/**
+ * Average color of a cluster
+ * @param {Object[]} cluster - OKLab pixels
+ * @returns {Object} - Swatch { r, g, b, hex, population, L, C, h }
+ */
+function averageCluster(cluster) {
+  const sum = { L: 0, a: 0, b: 0 };
+  for (const pixel of cluster) {
+    sum.L += pixel.L;
+    sum.a += pixel.a;
+    sum.b += pixel.b;
+  }
+  const lch = oklabToOklch({ L: sum.L / cluster.length, a: sum.a / cluster.length, b: sum.b / cluster.length });
+  return { ...oklchToRgb(lch), population: cluster.length, ...lch };
+}
+
+/**
+ * Pick the swatch that best fits a role
+ * @param {Object[]} swatches - From averageCluster
+ * @param {Object} role - Entry of ROLES
+ * @param {Set} used - Swatches already assigned to a role, skipped
+ * @returns {Object|null}
+ */
+function pickRole(swatches, role, used) {
+  const maxPopulation = Math.max(...swatches.map((swatch) => swatch.population));
+  let best = null;
+  let bestScore = -Infinity;
+  for (const swatch of swatches) {
+    if (used.has(swatch)) continue;
+    if (swatch.L < role.minL || swatch.L > role.maxL || swatch.C < role.minC || swatch.C > role.maxC) continue;
+
+    const score = LIGHTNESS_WEIGHT * (1 - Math.abs(swatch.L - role.targetL)) +
+      CHROMA_WEIGHT * (1 - Math.min(1, Math.abs(swatch.C - role.targetC) / 0.2)) +
+      POPULATION_WEIGHT * (swatch.population / maxPopulation);
+    if (score > bestScore) {
+      best = swatch;
+      bestScore = score;
+    }
+  }
+  if (best) {
+    used.add(best);
+  }
+  return best;
+}
+
+/**
+ * Move a color's lightness step by step until it contrasts enough with another color
+ * @param {Object} lch - Starting color { L, C, h }
+ * @param {Object} against - Color to contrast with { r, g, b }
+ * @param {number} minContrast - Required contrast ratio
+ * @param {number} direction - -1 to darken, 1 to lighten
+ * @returns {Object} - { r, g, b, hex }
+ */
+function adjustForContrast(lch, against, minContrast, direction) {
+  let L = lch.L;
+  let color = oklchToRgb({ ...lch, L });
+  while (contrastRatio(color, against) < minContrast && (direction < 0 ? L > 0 : L < 1)) {
+    L = Math.min(1, Math.max(0, L + direction * LIGHTNESS_STEP));
+    color = oklchToRgb({ ...lch, L });
+  }
+  return color;
+}
+
+/**
+ * Build background, text and accent colors from a palette
+ * @param {Object} palette - { dominant, vibrant, muted, colors, grayscale }
+ * @returns {Object} - { background, stops, text, accent, scheme: 'dark'|'light', contrast }
+ */
+function buildTheme(palette) {
+  const base = rgbToOklch(palette.dominant);
+  const chroma = palette.grayscale ? 0 : Math.min(base.C, MAX_BACKGROUND_CHROMA);
+  const start = { L: base.L * BACKGROUND_LIGHTNESS, C: chroma, h: base.h };
+
+  // Text is a near-white or near-black tinted with the background hue
+  const lightText = oklchToRgb({ L: 0.97, C: Math.min(chroma, 0.02), h: base.h });
+  const darkText = oklchToRgb({ L: 0.2, C: Math.min(chroma, 0.03), h: base.h });
+  const startColor = oklchToRgb(start);
+  const scheme = contrastRatio(lightText, startColor) >= contrastRatio(darkText, startColor) ? 'dark' : 'light';
+  const text = scheme === 'dark' ? lightText : darkText;
+
+  // Push the background away from the text until AA is met
+  const background = adjustForContrast(start, text, MIN_TEXT_CONTRAST, scheme === 'dark' ? -1 : 1);
+
+  // Gradient stops from the largest clusters, each held to the same contrast as the background
+  const stops = [background.hex];
+  for (const color of palette.colors.slice(1, GRADIENT_STOPS)) {
+    const lch = rgbToOklch(color);
+    const stopStart = { L: lch.L * BACKGROUND_LIGHTNESS, C: palette.grayscale ? 0 : Math.min(lch.C, MAX_BACKGROUND_CHROMA), h: lch.h };
+    stops.push(adjustForContrast(stopStart, text, MIN_TEXT_CONTRAST, scheme === 'dark' ? -1 : 1).hex);
+  }
+
+  // Accent (progress bar, highlights) from the most colorful swatch, pushed towards the text side
+  let accent = text;
+  if (!palette.grayscale) {
+    accent = adjustForContrast(rgbToOklch(palette.vibrant || palette.muted || palette.dominant), background,
+      MIN_ACCENT_CONTRAST, scheme === 'dark' ? 1 : -1);
+  }
+
+  return {
+    background: background.hex,
+    stops,
+    text: text.hex,
+    accent: accent.hex,
+    scheme,
+    contrast: Math.round(contrastRatio(text, background) * 100) / 100
+  };
+}
+
+/**
+ * Swatch as returned by the API
+ * @param {Object|null} swatch
+ * @returns {Object|null} - { r, g, b, hex, population }
+ */
+function publicSwatch(swatch) {
+  return swatch ? { r: swatch.r, g: swatch.g, b: swatch.b, hex: swatch.hex, population: swatch.population } : null;
+}
+
+/**
+ * Extract a palette from cover artwork
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<Object>} - { dominant, vibrant, muted, dark, light, grayscale, colors, theme, textColor }
+ */
+async function extractPalette(buffer) {
+  const raw = await sharp(buffer)
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside' })
+    .flatten({ background: '#000000' })
+    .removeAlpha()
+    .raw()
+    .toBuffer();
+
+  const pixels = [];
+  for (let i = 0; i < raw.length; i += 3) {
+    pixels.push(rgbToOklab({ r: raw[i], g: raw[i + 1], b: raw[i + 2] }));
+  }
+
+  const swatches = medianCut(pixels)
+    .map(averageCluster)
+    .sort((a, b) => b.population - a.population);
+
+  // Weighted by population, so a few colored specks don't make a B&W cover "colorful"
+  const averageChroma = swatches.reduce((sum, swatch) => sum + swatch.C * swatch.population, 0) / pixels.length;
+  const grayscale = averageChroma < GRAYSCALE_CHROMA;
+
+  const used = new Set();
+  const vibrant = grayscale ? null : pickRole(swatches, ROLES.vibrant, used);
+  const muted = pickRole(swatches, ROLES.muted, used);
+  const dark = pickRole(swatches, ROLES.dark, used);
+  const light = pickRole(swatches, ROLES.light, used);
+  const dominant = swatches[0];
+
+  const theme = buildTheme({ dominant, vibrant, muted, colors: swatches, grayscale });
+
+  return {
+    dominant: publicSwatch(dominant),
+    vibrant: publicSwatch(vibrant),
+    muted: publicSwatch(muted),
+    dark: publicSwatch(dark),
+    light: publicSwatch(light),
+    grayscale,
+    colors: swatches.slice(0, PALETTE_COLORS).map(publicSwatch),
+    theme,
+    textColor: theme.text
+  };
+}
+
+module.exports = {
+  PALETTE_VERSION,
+  extractPalette,
+  buildTheme
+};
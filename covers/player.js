@@ -0,0 +1,29 @@
+/**
+ * Player cover provider
+ *
+ * Artwork handed out by the now-playing provider itself (e.g. media-control's
+ * artworkData or MPRIS mpris:artUrl). Usually last in the chain, since it is
+ * often low resolution or a multi-megabyte data URI.
+ */
+
+module.exports = {
+  name: 'player',
+  // Reported as the now-playing provider, e.g. "media-control"
+  label: (track) => track.provider || 'player',
+  cacheable: false, // Already part of every poll
+
+  /**
+   * @returns {boolean} - Always available
+   */
+  isAvailable() {
+    return true;
+  },
+
+  /**
+   * @param {Object} track - Normalized track from the now-playing provider
+   * @returns {Promise<Object|null>} - { url, score }; the player's own artwork is never scored
+   */
+  async lookup(track) {
+    return track.cover ? { url: track.cover, score: null } : null;
+  }
+};
@@ -0,0 +1,292 @@
+/**
+ * Outbound Requests
+ *
+ * Shared HTTP layer for the artwork APIs. Every API gets a named client with:
+ *
+ *   - a rate limit: requests are spaced at least `minInterval` ms apart
+ *   - coalescing: concurrent identical requests share one response
+ *   - retries with exponential backoff and jitter on transient errors
+ *     (network errors, timeouts and 5xx responses)
+ *   - a circuit breaker: after `failureThreshold` consecutive failures
+ *     (including rejected credentials, 401/403), or a 429 response, the API
+ *     is skipped for a cool-down. Then one trial request decides whether it
+ *     is back
+ *
+ * Requests rejected by an open circuit throw CircuitOpenError, which the
+ * cover chain treats like any other lookup failure (not cached, next
+ * provider is tried). Other 4xx answers won't change on a retry; the cover
+ * chain caches them as "not found" (see isClientError).
+ *
+ * A client created with a `stub` function answers from it instead of the
+ * network (see fixtures.js), skipping the limits above.
+ */
+
+const axios = require('axios');
+
+const DEFAULT_OPTIONS = {
+  minInterval: 0, // Minimum time between requests (ms)
+  timeout: 5000, // Request timeout (ms)
+  headers: {}, // Sent with every request
+  retries: 1, // Retries after a transient error
+  retryDelay: 1000, // First retry delay, doubled on every retry (ms)
+  failureThreshold: 3, // Consecutive failed requests that open the circuit
+  cooldown: 60 * 1000, // How long an open circuit skips the API (ms)
+  maxCooldown: 60 * 60 * 1000, // Upper bound for a Retry-After requested cool-down (ms)
+  stub: null // Optional async (url, config) => response data, replaces the network
+};
+
+// Clients by name, so every module talking to the same API shares its limits
+const clients = new Map();
+
+class CircuitOpenError extends Error {
+  /**
+   * @param {string} client - Name of the client whose circuit is open
+   * @param {number} retryAt - When the next trial request is allowed (epoch ms)
+   */
+  constructor(client, retryAt) {
+    super(`${client} is unavailable, retrying after ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.client = client;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms
+ * @returns {Promise}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Network errors, timeouts and server errors are worth retrying
+ * @param {Error} error - axios error
+ * @returns {boolean}
+ */
+function isTransient(error) {
+  return !error.response || error.response.status >= 500;
+}
+
+/**
+ * The API rejected the request itself (4xx other than 429), so sending it
+ * again won't help until something changes, e.g. the API key
+ * @param {Error} error - Error thrown by RequestClient.get
+ * @returns {boolean}
+ */
+function isClientError(error) {
+  const status = error.response && error.response.status;
+  return status >= 400 && status < 500 && status !== 429;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string} [value]
+ * @returns {number|null} - Delay in ms
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(delay) && delay > 0 ? delay : null;
+}
+
+class RequestClient {
+  /**
+   * @param {string} name - API name used in logs
+   * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.nextSlot = 0; // Earliest start of the next request (epoch ms)
+    this.inFlight = new Map(); // Request key -> pending promise
+    this.failures = 0; // Consecutive failed requests
+    this.openUntil = 0; // Circuit open until (epoch ms), 0 while closed
+    this.trial = false; // A trial request is running on a half-open circuit
+    this.stats = { requests: 0, coalesced: 0, retries: 0, failures: 0, rejected: 0 };
+  }
+
+  /**
+   * GET a URL through the rate limit, retries and circuit breaker
+   * Identical requests already in flight share the same response
+   * @param {string} url
+   * @param {Object} [config] - axios config (params, headers, ...)
+   * @returns {Promise<Object>} - axios response
+   * @throws {CircuitOpenError} - While the API is being skipped
+   */
+  get(url, config = {}) {
+    if (this.options.stub) {
+      this.stats.requests++;
+      return this.options.stub(url, config).then(data => ({ status: 200, data }));
+    }
+
+    const key = `${url} ${JSON.stringify(config.params || {})}`;
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      this.stats.coalesced++;
+      return pending;
+    }
+
+    const request = this.request(url, config).finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  /**
+   * Throw while the circuit is open; once the cool-down is over the first
+   * request becomes the trial and the others keep being rejected
+   */
+  checkCircuit() {
+    if (!this.openUntil) {
+      return;
+    }
+    if (Date.now() < this.openUntil || this.trial) {
+      this.stats.rejected++;
+      throw new CircuitOpenError(this.name, this.openUntil);
+    }
+    this.trial = true;
+  }
+
+  /**
+   * Reserve the next free slot under the rate limit and wait for it
+   */
+  async waitForSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.options.minInterval;
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+
+  /**
+   * Perform a request with retries
+   * @param {string} url
+   * @param {Object} config - axios config
+   * @returns {Promise<Object>} - axios response
+   */
+  async request(url, config) {
+    this.checkCircuit();
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForSlot();
+      this.stats.requests++;
+      try {
+        const response = await axios.get(url, {
+          timeout: this.options.timeout,
+          ...config,
+          headers: { ...this.options.headers, ...config.headers }
+        });
+        this.recordSuccess();
+        return response;
+      } catch (error) {
+        const status = error.response && error.response.status;
+        if (status === 429) {
+          // Rate limited: stop calling the API for as long as it asks
+          this.open(parseRetryAfter(error.response.headers['retry-after']) || this.options.cooldown);
+          throw error;
+        }
+        if (status === 401 || status === 403) {
+          // Rejected credentials fail every request until the configuration is fixed
+          this.recordFailure();
+          throw error;
+        }
+        if (!isTransient(error)) {
+          // The API answered (e.g. 404), so it is up - the caller handles the error
+          this.recordSuccess();
+          throw error;
+        }
+        if (attempt >= this.options.retries) {
+          this.recordFailure();
+          throw error;
+        }
+
+        const backoff = this.options.retryDelay * Math.pow(2, attempt);
+        const delay = Math.round(backoff / 2 + Math.random() * (backoff / 2));
+        this.stats.retries++;
+        console.log(`[Request] ${this.name}: ${error.message}, retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * A request got an answer: close the circuit
+   */
+  recordSuccess() {
+    if (this.openUntil) {
+      console.log(`[Request] ${this.name} is available again`);
+    }
+    this.failures = 0;
+    this.openUntil = 0;
+    this.trial = false;
+  }
+
+  /**
+   * A request failed after its retries: open the circuit after too many in a row,
+   * or right away when the trial request of a half-open circuit failed
+   */
+  recordFailure() {
+    this.stats.failures++;
+    this.failures++;
+    if (this.trial || this.failures >= this.options.failureThreshold) {
+      this.open(this.options.cooldown);
+    }
+  }
+
+  /**
+   * Skip the API for a while
+   * @param {number} duration - Cool-down (ms)
+   */
+  open(duration) {
+    const cooldown = Math.min(duration, this.options.maxCooldown);
+    this.openUntil = Date.now() + cooldown;
+    this.trial = false;
+    console.error(`[Request] ${this.name} is failing, skipping it for ${Math.round(cooldown / 1000)}s`);
+  }
+}
+
+/**
+ * State and counters of every client, for diagnostics
+ * @returns {Object[]} - [{ name, state, retryAt, consecutiveFailures, requests, coalesced, retries, failures, rejected }]
+ *   state is 'closed' (healthy), 'open' (skipped), 'recovering' (cool-down over, the next
+ *   request will be the trial; lookups may be cached, so this can last) or 'half-open' (trial running)
+ */
+function requestStats() {
+  const now = Date.now();
+  return Array.from(clients.values()).map(client => {
+    let state = 'closed';
+    if (client.trial) {
+      state = 'half-open';
+    } else if (client.openUntil) {
+      state = now < client.openUntil ? 'open' : 'recovering';
+    }
+    return {
+      name: client.name,
+      state,
+      retryAt: client.openUntil || null,
+      consecutiveFailures: client.failures,
+      ...client.stats
+    };
+  });
+}
+
+/**
+ * Get the shared client for an API, creating it on first use
+ * @param {string} name - API name
+ * @param {Object} [options] - Client options (only used when the client is created)
+ * @returns {RequestClient}
+ */
+function createClient(name, options) {
+  if (!clients.has(name)) {
+    clients.set(name, new RequestClient(name, options));
+  }
+  return clients.get(name);
+}
+
+module.exports = { createClient, requestStats, isClientError, CircuitOpenError };
@@ -0,0 +1,54 @@
+/**
+ * Artwork resizing
+ *
+ * Produces downscaled JPEG/WebP variants of cover artwork, so a phone or a
+ * low-power display doesn't have to decode a 2000x2000 image on every track
+ * change. Requested sizes are rounded up to a fixed set of steps to keep the
+ * number of cached variants per cover small.
+ */
+
+const sharp = require('sharp');
+
+const VARIANT_SIZES = [160, 320, 480, 640, 800, 1000, 1200, 1600, 2000];
+const VARIANT_FORMATS = {
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+const VARIANT_QUALITY = 82;
+
+/**
+ * Round a requested size up to the nearest variant size
+ * @param {number} size - Requested size in pixels
+ * @returns {number} - Variant size
+ */
+function snapSize(size) {
+  return VARIANT_SIZES.find((step) => step >= size) || VARIANT_SIZES[VARIANT_SIZES.length - 1];
+}
+
+/**
+ * Downscale an image to fit within size x size
+ * @param {Buffer} buffer - Original image
+ * @param {number} size - Variant size (see snapSize)
+ * @param {string} format - 'jpeg' or 'webp'
+ * @returns {Promise<Object|null>} - { buffer, contentType }, or null if the original is already small enough
+ */
+async function resizeImage(buffer, size, format) {
+  const { width, height } = await sharp(buffer).metadata();
+  if (Math.max(width, height) <= size) {
+    return null;
+  }
+
+  const resized = await sharp(buffer)
+    .rotate() // Apply EXIF orientation before it is stripped
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .toFormat(format, { quality: VARIANT_QUALITY })
+    .toBuffer();
+  return { buffer: resized, contentType: VARIANT_FORMATS[format] };
+}
+
+module.exports = {
+  VARIANT_SIZES,
+  VARIANT_FORMATS,
+  snapSize,
+  resizeImage
+};
@@ -0,0 +1,140 @@
+/**
+ * Cover search match scoring
+ *
+ * Scores search results against the track that is playing so providers can
+ * pick the best of several candidates and reject wrong albums (live albums,
+ * compilations, same-named songs) instead of trusting the first hit.
+ *
+ * Scores range from 0 (no match) to 1 (exact artist and album/track match).
+ */
+
+const { normalizeText } = require('../services/text-utils');
+
+// Candidates scoring below this are rejected
+const MIN_MATCH_SCORE = parseFloat(process.env.COVER_MIN_SCORE) || 0.6;
+
+// Album qualifiers that usually mean "not the original album"
+const QUALIFIER_PATTERN = /\b(live|greatest hits|best of|collection|anthology|karaoke|tribute|instrumental|remixes|essentials)\b/;
+const QUALIFIER_PENALTY = 0.15;
+
+const YEAR_BONUS = 0.05;
+const YEAR_PENALTY = 0.1;
+
+/**
+ * Split a string into character bigrams
+ * @param {string} value - Normalized text
+ * @returns {string[]}
+ */
+function bigrams(value) {
+  const compact = value.replace(/\s+/g, ' ');
+  const result = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    result.push(compact.slice(i, i + 2));
+  }
+  return result;
+}
+
+/**
+ * Similarity of two strings after normalization (Sørensen–Dice on bigrams)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - 0..1
+ */
+function similarity(a, b) {
+  const x = normalizeText(a);
+  const y = normalizeText(b);
+  if (!x || !y) {
+    return 0;
+  }
+  if (x === y) {
+    return 1;
+  }
+
+  const left = bigrams(x);
+  const right = bigrams(y);
+  if (left.length === 0 || right.length === 0) {
+    return 0;
+  }
+
+  const counts = new Map();
+  for (const gram of left) {
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+  let shared = 0;
+  for (const gram of right) {
+    const count = counts.get(gram) || 0;
+    if (count > 0) {
+      shared++;
+      counts.set(gram, count - 1);
+    }
+  }
+  return (2 * shared) / (left.length + right.length);
+}
+
+/**
+ * Score a search result against the playing track
+ * Compares artist and album when the track has an album, otherwise artist and
+ * track title. Live/compilation albums are penalized unless the track's own
+ * album is one, and a known release year nudges the score.
+ *
+ * @param {Object} track - Playing track { title, artist, album, year }
+ * @param {Object} candidate - Search result { artist, album, title, year }
+ * @returns {number} - 0..1
+ */
+function scoreCandidate(track, candidate) {
+  const artistScore = similarity(track.artist, candidate.artist);
+
+  let itemScore;
+  if (track.album && candidate.album) {
+    itemScore = similarity(track.album, candidate.album);
+  } else if (candidate.title) {
+    itemScore = similarity(track.title, candidate.title);
+  } else {
+    // Singles are often released as an album named after the track
+    itemScore = similarity(track.title, candidate.album);
+  }
+
+  let score = (artistScore + itemScore) / 2;
+
+  const candidateAlbum = normalizeText(candidate.album);
+  if (QUALIFIER_PATTERN.test(candidateAlbum) && !QUALIFIER_PATTERN.test(normalizeText(track.album))) {
+    score -= QUALIFIER_PENALTY;
+  }
+
+  if (track.year && candidate.year) {
+    score += Number(track.year) === Number(candidate.year) ? YEAR_BONUS : -YEAR_PENALTY;
+  }
+
+  return Math.min(Math.max(score, 0), 1);
+}
+
+/**
+ * Rank candidates by score, dropping those below MIN_MATCH_SCORE
+ * Ties go to the earliest release, which favors originals over reissues
+ * @param {Object} track - Playing track
+ * @param {Object[]} candidates - Search results with artist/album/title/year
+ * @returns {Object[]} - [{ candidate, score }], best first
+ */
+function rankMatches(track, candidates) {
+  const year = (candidate) => Number(candidate.year) || Infinity;
+  return candidates
+    .map(candidate => ({ candidate, score: scoreCandidate(track, candidate) }))
+    .filter(match => match.score >= MIN_MATCH_SCORE)
+    .sort((a, b) => (b.score - a.score) || (year(a.candidate) - year(b.candidate)));
+}
+
+/**
+ * Pick the best-scoring candidate above MIN_MATCH_SCORE
+ * @param {Object} track - Playing track
+ * @param {Object[]} candidates - Search results with artist/album/title/year
+ * @returns {Object|null} - { candidate, score } or null if nothing is confident enough
+ */
+function pickBestMatch(track, candidates) {
+  const [best] = rankMatches(track, candidates);
+  if (!best && candidates.length > 0) {
+    console.log(`[Cover] No confident match for "${track.artist} - ${track.album || track.title}" among ${candidates.length} result(s)`);
+  }
+  return best || null;
+}
+
+module.exports = { MIN_MATCH_SCORE, similarity, scoreCandidate, rankMatches, pickBestMatch };
@@ -0,0 +1,63 @@
+/**
+ * Artwork helpers shared by providers that hand out embedded or local artwork.
+ */
+
+const fs = require('fs/promises');
+const { fileURLToPath } = require('url');
+
+/**
+ * Convert base64 artwork data to a data URI
+ * Determines MIME type from the file signature (magic bytes)
+ * @param {string} artworkData - Base64 encoded image
+ * @returns {string} - Data URI or empty string if the data is unusable
+ */
+function artworkDataUri(artworkData) {
+  const buffer = Buffer.from(artworkData, 'base64');
+  if (buffer.length === 0) {
+    return '';
+  }
+
+  let mimeType = 'image/jpeg';
+  if (buffer[0] === 0x89 && buffer[1] === 0x50) mimeType = 'image/png'; // PNG signature
+  else if (buffer[0] === 0x47 && buffer[1] === 0x49) mimeType = 'image/gif'; // GIF signature
+
+  return `data:${mimeType};base64,${artworkData}`;
+}
+
+// A failed read is tried again after this long - players often write the
+// file a moment after announcing its URL (ms)
+const FILE_ARTWORK_RETRY = 3000;
+
+// Last file artwork read, so polls during a track don't read the file again
+let lastFileArtwork = { key: null, data: '', retryAt: 0 };
+
+/**
+ * Read a local file:// artwork URL as base64
+ * Browsers cannot load file:// URLs from an http page, so the image is inlined.
+ * The image for the current track is remembered; the track is part of the
+ * key as some players reuse one file for every cover. Failures are retried
+ * after FILE_ARTWORK_RETRY and logged once per track.
+ * @param {string} fileUrl - file:// URL
+ * @param {string} [track] - Track identity, e.g. artist and title
+ * @returns {Promise<string>} - Base64 encoded image or empty string if unreadable
+ */
+async function readFileArtwork(fileUrl, track = '') {
+  const key = `${track}\n${fileUrl}`;
+  const sameTrack = lastFileArtwork.key === key;
+  if (sameTrack && (lastFileArtwork.data || Date.now() < lastFileArtwork.retryAt)) {
+    return lastFileArtwork.data;
+  }
+
+  try {
+    const buffer = await fs.readFile(fileURLToPath(fileUrl));
+    lastFileArtwork = { key, data: buffer.toString('base64'), retryAt: 0 };
+  } catch (error) {
+    if (!sameTrack) {
+      console.error(`[Artwork] Could not read ${fileUrl}:`, error.message);
+    }
+    lastFileArtwork = { key, data: '', retryAt: Date.now() + FILE_ARTWORK_RETRY };
+  }
+  return lastFileArtwork.data;
+}
+
+module.exports = { artworkDataUri, readFileArtwork };
@@ -0,0 +1,56 @@
+/**
+ * Command helpers shared by providers that shell out to a CLI tool.
+ */
+
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const { ProviderError, ProviderErrorCode } = require('./errors');
+
+// Convert exec to promise-based for async/await usage
+const execAsync = promisify(exec);
+
+/**
+ * Execute a shell command and return the output
+ * Unlike a bare exec, failures are mapped to ProviderError codes so callers
+ * can tell a missing tool apart from a crash or a timeout.
+ *
+ * @param {string} cmd - Command to execute
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider name attached to errors
+ * @param {number} [options.timeout] - Timeout in milliseconds (default: 2000)
+ * @returns {Promise<string>} - Trimmed stdout
+ * @throws {ProviderError}
+ */
+async function runCommand(cmd, { provider = null, timeout = 2000 } = {}) {
+  try {
+    const { stdout } = await execAsync(cmd, { timeout });
+    return stdout.trim();
+  } catch (error) {
+    const stderr = (error.stderr || '').trim();
+
+    // Shells exit with 127 when the binary cannot be found
+    if (error.code === 127 || /command not found/i.test(stderr)) {
+      throw new ProviderError(ProviderErrorCode.NOT_INSTALLED, `Command not found: ${cmd.split(' ')[0]}`, { provider, cause: error });
+    }
+    if (error.killed) {
+      throw new ProviderError(ProviderErrorCode.TIMEOUT, `Command timed out after ${timeout}ms: ${cmd}`, { provider, cause: error });
+    }
+    throw new ProviderError(ProviderErrorCode.COMMAND_FAILED, stderr || error.message, { provider, cause: error });
+  }
+}
+
+/**
+ * Check whether a binary is available on the PATH
+ * @param {string} bin - Binary name
+ * @returns {Promise<boolean>} - True if the binary can be executed
+ */
+async function commandExists(bin) {
+  try {
+    await execAsync(`command -v ${bin}`, { timeout: 2000 });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { runCommand, commandExists };
@@ -0,0 +1,51 @@
+/**
+ * Provider Errors
+ *
+ * Structured errors raised by now-playing providers. Each error carries a
+ * machine-readable code and the provider name so the API can report why a
+ * poll failed instead of collapsing every failure into "stopped".
+ */
+
+// Error codes shared by all providers
+const ProviderErrorCode = {
+  NOT_INSTALLED: 'NOT_INSTALLED', // Required tool/binary is missing
+  COMMAND_FAILED: 'COMMAND_FAILED', // Tool exited with a non-zero status
+  TIMEOUT: 'TIMEOUT', // Tool did not answer in time
+  PARSE_ERROR: 'PARSE_ERROR', // Tool output could not be parsed
+  NO_PROVIDER: 'NO_PROVIDER', // Auto-detection found no usable provider
+  UNKNOWN_PROVIDER: 'UNKNOWN_PROVIDER', // Configured provider name is not registered
+  UNSUPPORTED: 'UNSUPPORTED' // Provider does not implement the requested operation
+};
+
+class ProviderError extends Error {
+  /**
+   * @param {string} code - One of ProviderErrorCode
+   * @param {string} message - Human readable description
+   * @param {Object} [options]
+   * @param {string} [options.provider] - Name of the provider that failed
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(code, message, { provider = null, cause } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = code;
+    this.provider = provider;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+
+  /**
+   * Serialize for API responses (omits stack and cause)
+   * @returns {Object} - { code, message, provider }
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      provider: this.provider
+    };
+  }
+}
+
+module.exports = { ProviderError, ProviderErrorCode };
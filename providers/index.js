@@ -0,0 +1,172 @@
+/**
+ * Now-Playing Providers
+ *
+ * Registry of sources that can report the currently playing track. Every
+ * provider implements the same interface:
+ *
+ *   name              - Unique provider name (used in NOW_PLAYING_PROVIDER)
+ *   detect()          - Resolves true if the provider can run on this machine
+ *   poll()            - Resolves raw player data (null when nothing is playing)
+ *   normalize(raw)    - Maps raw data to { status, title, artist, album, cover, source,
+ *                       duration, elapsedTime, playbackRate, timestamp }
+ *
+ * Providers may also implement:
+ *
+ *   control(command, value) - Drive the player. command is one of CONTROL_COMMANDS;
+ *                             value is the position in seconds for 'seek'
+ *
+ * status is 'playing', 'paused' or 'stopped'. Times are in seconds; timestamp
+ * is the epoch time in milliseconds at which elapsedTime was measured.
+ *
+ * New sources only need to be registered here; the routes never talk to a
+ * provider directly.
+ */
+
+const { ProviderError, ProviderErrorCode } = require('./errors');
+
+// Playback commands accepted by sendCommand()
+const CONTROL_COMMANDS = ['play', 'pause', 'toggle', 'next', 'previous', 'seek'];
+
+// Registered providers in auto-detection priority order
+const providers = new Map();
+
+// Provider chosen by auto-detection, kept until it reports itself missing
+let detectedProvider = null;
+
+// Availability checks spawn a shell per provider, so diagnostics reuse them for a while
+const AVAILABILITY_TTL = 60 * 1000; // ms
+let availability = null; // { time, results } - pending or settled detect() results
+
+/**
+ * Register a provider
+ * @param {Object} provider - Provider implementing name/detect/poll/normalize
+ */
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+// The simulated provider is only detected when SIMULATED_PLAYLIST is set, which then takes priority
+registerProvider(require('./simulated'));
+registerProvider(require('./media-control'));
+registerProvider(require('./playerctl'));
+
+/**
+ * List registered provider names
+ * @returns {string[]}
+ */
+function listProviders() {
+  return Array.from(providers.keys());
+}
+
+/**
+ * Resolve the provider to poll
+ * @param {string} preferred - Provider name, or 'auto' to use the first one detected
+ * @returns {Promise<Object>} - Provider instance
+ * @throws {ProviderError} - If the name is unknown or nothing is detected
+ */
+async function resolveProvider(preferred = 'auto') {
+  if (preferred !== 'auto') {
+    const provider = providers.get(preferred);
+    if (!provider) {
+      throw new ProviderError(ProviderErrorCode.UNKNOWN_PROVIDER, `Unknown provider "${preferred}". Available: ${listProviders().join(', ')}`, { provider: preferred });
+    }
+    return provider;
+  }
+
+  if (detectedProvider) {
+    return detectedProvider;
+  }
+
+  for (const provider of providers.values()) {
+    if (await provider.detect()) {
+      detectedProvider = provider;
+      console.log(`[Provider] Using ${provider.name}`);
+      return provider;
+    }
+  }
+
+  throw new ProviderError(ProviderErrorCode.NO_PROVIDER, `No now-playing provider available. Tried: ${listProviders().join(', ')}`);
+}
+
+/**
+ * Check which providers can run on this machine
+ * Results are cached for AVAILABILITY_TTL, so /api/health and /metrics
+ * scrapes don't run the checks every time
+ * @returns {Promise<Object[]>} - [{ name, available, detected }] in priority order;
+ *   detected is true for the provider chosen by auto-detection
+ */
+async function detectProviders() {
+  if (!availability || Date.now() - availability.time > AVAILABILITY_TTL) {
+    availability = {
+      time: Date.now(),
+      results: Promise.all(Array.from(providers.values()).map(provider => provider.detect().catch(() => false)))
+    };
+  }
+  const available = await availability.results;
+  return Array.from(providers.values()).map((provider, index) => ({
+    name: provider.name,
+    available: available[index],
+    detected: provider === detectedProvider
+  }));
+}
+
+/**
+ * Poll the resolved provider and return the normalized track
+ * @param {string} preferred - Provider name or 'auto'
+ * @returns {Promise<Object>} - Normalized track plus the provider name
+ * @throws {ProviderError}
+ */
+async function pollNowPlaying(preferred = 'auto') {
+  const provider = await resolveProvider(preferred);
+
+  try {
+    const raw = await provider.poll();
+    return { ...provider.normalize(raw), provider: provider.name };
+  } catch (error) {
+    // A provider that vanished (e.g. uninstalled) should be re-detected next time
+    if (error.code === ProviderErrorCode.NOT_INSTALLED && detectedProvider === provider) {
+      detectedProvider = null;
+    }
+    if (error instanceof ProviderError) {
+      throw error;
+    }
+    throw new ProviderError(ProviderErrorCode.COMMAND_FAILED, error.message, { provider: provider.name, cause: error });
+  }
+}
+
+/**
+ * Send a playback command to the resolved provider
+ * @param {string} preferred - Provider name or 'auto'
+ * @param {string} command - One of CONTROL_COMMANDS
+ * @param {number} [value] - Position in seconds for 'seek'
+ * @returns {Promise<void>}
+ * @throws {ProviderError} - UNSUPPORTED if the provider cannot be controlled
+ */
+async function sendCommand(preferred, command, value) {
+  const provider = await resolveProvider(preferred);
+
+  if (typeof provider.control !== 'function') {
+    throw new ProviderError(ProviderErrorCode.UNSUPPORTED, `${provider.name} does not support playback control`, { provider: provider.name });
+  }
+
+  try {
+    await provider.control(command, value);
+  } catch (error) {
+    if (error instanceof ProviderError) {
+      throw error;
+    }
+    throw new ProviderError(ProviderErrorCode.COMMAND_FAILED, error.message, { provider: provider.name, cause: error });
+  }
+}
+
+module.exports = {
+  CONTROL_COMMANDS,
+  registerProvider,
+  listProviders,
+  resolveProvider,
+  detectProviders,
+  pollNowPlaying,
+  sendCommand,
+  ProviderError,
+  ProviderErrorCode
+};
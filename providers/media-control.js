@@ -0,0 +1,96 @@
+/**
+ * media-control provider (macOS)
+ *
+ * Reads the system "Now Playing" information through the media-control CLI.
+ * https://github.com/ungive/media-control
+ */
+
+const { runCommand, commandExists } = require('./command');
+const { ProviderError, ProviderErrorCode } = require('./errors');
+const { artworkDataUri } = require('./artwork');
+
+const NAME = 'media-control';
+
+// media-control subcommands for each playback command
+const COMMANDS = {
+  play: 'play',
+  pause: 'pause',
+  toggle: 'toggle-play-pause',
+  next: 'next-track',
+  previous: 'previous-track',
+  seek: 'seek'
+};
+
+module.exports = {
+  name: NAME,
+
+  /**
+   * Check whether media-control is installed
+   * @returns {Promise<boolean>}
+   */
+  async detect() {
+    return commandExists('media-control');
+  },
+
+  /**
+   * Run `media-control get` and parse its JSON output
+   * @returns {Promise<Object|null>} - Raw media-control data, or null when nothing is playing
+   * @throws {ProviderError}
+   */
+  async poll() {
+    const output = await runCommand('media-control get', { provider: NAME });
+    if (!output) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(output);
+    } catch (parseError) {
+      throw new ProviderError(ProviderErrorCode.PARSE_ERROR, `Could not parse media-control output: ${output.slice(0, 200)}`, { provider: NAME, cause: parseError });
+    }
+  },
+
+  /**
+   * Run a media-control playback subcommand
+   * @param {string} command - Playback command (play, pause, toggle, next, previous, seek)
+   * @param {number} [value] - Position in seconds for seek
+   * @returns {Promise<void>}
+   * @throws {ProviderError}
+   */
+  async control(command, value) {
+    const args = command === 'seek' ? ` ${Number(value)}` : '';
+    await runCommand(`media-control ${COMMANDS[command]}${args}`, { provider: NAME });
+  },
+
+  /**
+   * Map media-control data to the common track shape
+   * media-control returns data when something is loaded, empty/null when stopped.
+   * If we have title/artist, a track is loaded; `playing` tells playing from paused.
+   * `elapsedTime` is the position at `timestamp` and only changes on seek/pause,
+   * so clients advance it themselves using `playbackRate`.
+   *
+   * @param {Object|null} data - Raw media-control data
+   * @returns {Object} - { status, title, artist, album, cover, source, duration, elapsedTime, playbackRate, timestamp }
+   */
+  normalize(data) {
+    if (!data || !(data.title || data.artist)) {
+      return { status: 'stopped' };
+    }
+
+    const paused = data.playing === false;
+
+    return {
+      status: paused ? 'paused' : 'playing',
+      title: data.title || '',
+      artist: data.artist || '',
+      album: data.album || '',
+      // Embedded artwork from the player, used when no online cover is found
+      cover: data.artworkData ? artworkDataUri(data.artworkData) : '',
+      source: data.bundleIdentifier || '', // e.g., "com.spotify.client"
+      duration: typeof data.duration === 'number' ? data.duration : null, // Seconds
+      elapsedTime: typeof data.elapsedTime === 'number' ? data.elapsedTime : null, // Seconds
+      playbackRate: typeof data.playbackRate === 'number' ? data.playbackRate : (paused ? 0 : 1),
+      timestamp: (data.timestamp && Date.parse(data.timestamp)) || Date.now() // When elapsedTime was measured (ms)
+    };
+  }
+};
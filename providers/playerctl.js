@@ -0,0 +1,153 @@
+/**
+ * playerctl provider (Linux)
+ *
+ * Reads MPRIS metadata from any MPRIS-capable player (Spotify, VLC, Firefox,
+ * Rhythmbox, ...) through the playerctl CLI.
+ * https://github.com/altdesktop/playerctl
+ */
+
+const { runCommand, commandExists } = require('./command');
+const { ProviderError, ProviderErrorCode } = require('./errors');
+const { artworkDataUri, readFileArtwork } = require('./artwork');
+
+const NAME = 'playerctl';
+
+// Restrict to specific players, e.g. "spotify" or "spotify,vlc" (default: playerctl picks)
+const PLAYERCTL_PLAYER = process.env.PLAYERCTL_PLAYER || '';
+
+// MPRIS fields requested from playerctl, in output order
+const FIELDS = ['playerName', 'status', 'xesam:title', 'xesam:artist', 'xesam:album', 'mpris:artUrl', 'mpris:length', 'position'];
+
+// MPRIS reports lengths and positions in microseconds
+const MICROSECONDS = 1000000;
+
+// ASCII unit separator - never appears in metadata, unlike tabs or pipes
+const SEPARATOR = '\x1f';
+
+// playerctl subcommands for each playback command
+const COMMANDS = {
+  play: 'play',
+  pause: 'pause',
+  toggle: 'play-pause',
+  next: 'next',
+  previous: 'previous',
+  seek: 'position'
+};
+
+/**
+ * Build a playerctl command, restricted to PLAYERCTL_PLAYER if configured
+ * @param {string} args - Subcommand and arguments
+ * @returns {string} - Shell command
+ */
+function buildCommand(args) {
+  const player = PLAYERCTL_PLAYER ? ` --player='${PLAYERCTL_PLAYER.replace(/'/g, '')}'` : '';
+  return `playerctl${player} ${args}`;
+}
+
+/**
+ * Build the playerctl metadata command
+ * @returns {string} - Shell command
+ */
+function buildMetadataCommand() {
+  const format = FIELDS.map(field => `{{${field}}}`).join(SEPARATOR);
+  return buildCommand(`metadata --format '${format}'`);
+}
+
+module.exports = {
+  name: NAME,
+
+  /**
+   * Check whether playerctl is installed
+   * @returns {Promise<boolean>}
+   */
+  async detect() {
+    return commandExists('playerctl');
+  },
+
+  /**
+   * Run `playerctl metadata` and split the formatted output into fields
+   * Local file:// artwork is read here so normalize() can stay synchronous.
+   *
+   * @returns {Promise<Object|null>} - Raw MPRIS fields, or null when no player is running
+   * @throws {ProviderError}
+   */
+  async poll() {
+    let output;
+    try {
+      output = await runCommand(buildMetadataCommand(), { provider: NAME });
+    } catch (error) {
+      // playerctl exits non-zero when no MPRIS player is running - that's "stopped", not a failure
+      if (error.code === ProviderErrorCode.COMMAND_FAILED && /no players found/i.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+    if (!output) {
+      return null;
+    }
+
+    const values = output.split(SEPARATOR);
+    if (values.length !== FIELDS.length) {
+      throw new ProviderError(ProviderErrorCode.PARSE_ERROR, `Unexpected playerctl output: ${output.slice(0, 200)}`, { provider: NAME });
+    }
+
+    const data = { timestamp: Date.now() };
+    FIELDS.forEach((field, index) => {
+      data[field] = values[index].trim();
+    });
+
+    if (data['mpris:artUrl'].startsWith('file://')) {
+      data.artworkData = await readFileArtwork(data['mpris:artUrl'], [data['xesam:artist'], data['xesam:album'], data['xesam:title']].join('\n'));
+    }
+    return data;
+  },
+
+  /**
+   * Run a playerctl playback subcommand
+   * @param {string} command - Playback command (play, pause, toggle, next, previous, seek)
+   * @param {number} [value] - Position in seconds for seek
+   * @returns {Promise<void>}
+   * @throws {ProviderError}
+   */
+  async control(command, value) {
+    const args = command === 'seek' ? ` ${Number(value)}` : '';
+    await runCommand(buildCommand(`${COMMANDS[command]}${args}`), { provider: NAME });
+  },
+
+  /**
+   * Map MPRIS metadata to the common track shape
+   * @param {Object|null} data - Raw MPRIS fields
+   * @returns {Object} - { status, title, artist, album, cover, source, duration, elapsedTime, playbackRate, timestamp }
+   */
+  normalize(data) {
+    if (!data || data.status === 'Stopped' || !(data['xesam:title'] || data['xesam:artist'])) {
+      return { status: 'stopped' };
+    }
+
+    // Remote art (e.g. Spotify's i.scdn.co) is used as-is, local files are inlined
+    const artUrl = data['mpris:artUrl'];
+    let cover = '';
+    if (data.artworkData) {
+      cover = artworkDataUri(data.artworkData);
+    } else if (/^https?:\/\//i.test(artUrl)) {
+      cover = artUrl;
+    }
+
+    const paused = data.status === 'Paused';
+    const length = parseInt(data['mpris:length'], 10);
+    const position = parseInt(data.position, 10);
+
+    return {
+      status: paused ? 'paused' : 'playing',
+      title: data['xesam:title'],
+      artist: data['xesam:artist'],
+      album: data['xesam:album'],
+      cover,
+      source: data.playerName, // e.g., "spotify"
+      duration: length > 0 ? length / MICROSECONDS : null, // Seconds
+      elapsedTime: position >= 0 ? position / MICROSECONDS : null, // Seconds
+      playbackRate: paused ? 0 : 1,
+      timestamp: data.timestamp // When position was read (ms)
+    };
+  }
+};
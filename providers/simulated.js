@@ -0,0 +1,293 @@
+/**
+ * Simulated provider
+ *
+ * Plays back a scripted playlist instead of reading a real player, so the
+ * server can be demoed and tested on machines without media-control or
+ * playerctl. Enabled with SIMULATED_PLAYLIST, a JSON or YAML file:
+ *
+ *   speed: 1            # Simulated seconds per real second (SIMULATED_SPEED overrides)
+ *   loop: true          # Start over after the last entry
+ *   player: Simulator   # Reported as the source
+ *   tracks:
+ *     - title: Song
+ *       artist: Artist
+ *       album: Album
+ *       duration: 180   # Seconds
+ *       artwork: covers/album.png   # Relative to the playlist, or an http(s) URL
+ *       pauseAt: 60     # Optional: pause at this position...
+ *       pauseFor: 5     # ...for this many seconds (default 5)
+ *     - stop: 10        # Nothing playing for 10 seconds
+ *
+ * Playback commands work like on a real player: pause/play, next/previous
+ * and seek move through the script.
+ */
+
+const { ProviderError, ProviderErrorCode } = require('./errors');
+const { readDataFile, readImageDataUri } = require('../services/data-file');
+
+const NAME = 'simulated';
+
+const SIMULATED_PLAYLIST = process.env.SIMULATED_PLAYLIST || '';
+const SIMULATED_SPEED = parseFloat(process.env.SIMULATED_SPEED) || null;
+
+const DEFAULT_PAUSE = 5; // Length of a scripted pause without pauseFor (seconds)
+const RESTART_THRESHOLD = 3; // "previous" restarts the track when further in than this (seconds)
+
+/**
+ * Read a number from the playlist
+ * YAML keeps quoted values ("40") as strings, which would concatenate in sums
+ * @param {*} value - Playlist field
+ * @returns {number} - NaN if missing or not numeric
+ */
+function toNumber(value) {
+  return value === undefined || value === null || value === '' ? NaN : Number(value);
+}
+
+/**
+ * Validate the playlist and resolve artwork
+ * @param {Object} playlist - Parsed playlist file
+ * @returns {Promise<Object>} - { speed, loop, player, steps }
+ * @throws {ProviderError} - PARSE_ERROR if the playlist is invalid
+ */
+async function loadSteps(playlist) {
+  const fail = (message) => {
+    throw new ProviderError(ProviderErrorCode.PARSE_ERROR, `${SIMULATED_PLAYLIST}: ${message}`, { provider: NAME });
+  };
+  if (!playlist || !Array.isArray(playlist.tracks) || playlist.tracks.length === 0) {
+    fail('expected a non-empty "tracks" list');
+  }
+
+  const steps = [];
+  for (const [index, entry] of playlist.tracks.entries()) {
+    if (entry.stop !== undefined) {
+      const stop = toNumber(entry.stop);
+      if (!(stop > 0)) fail(`tracks[${index}]: stop must be a positive number of seconds`);
+      steps.push({ stop: true, length: stop });
+      continue;
+    }
+    const duration = toNumber(entry.duration);
+    if (!entry.title || !(duration > 0)) fail(`tracks[${index}]: title and a positive duration are required`);
+
+    let cover = '';
+    if (entry.artwork && /^(https?:|data:)/i.test(entry.artwork)) {
+      cover = entry.artwork;
+    } else if (entry.artwork) {
+      try {
+        cover = await readImageDataUri(SIMULATED_PLAYLIST, entry.artwork);
+      } catch (error) {
+        console.error(`[Simulated] Could not read artwork ${entry.artwork}:`, error.message);
+      }
+    }
+
+    const requestedPauseAt = toNumber(entry.pauseAt);
+    const requestedPauseFor = toNumber(entry.pauseFor);
+    const pauseAt = requestedPauseAt >= 0 && requestedPauseAt < duration ? requestedPauseAt : null;
+    const pauseFor = pauseAt === null ? 0 : (requestedPauseFor > 0 ? requestedPauseFor : DEFAULT_PAUSE);
+    steps.push({
+      track: { title: String(entry.title), artist: String(entry.artist || ''), album: String(entry.album || ''), cover },
+      duration,
+      pauseAt,
+      pauseFor,
+      length: duration + pauseFor
+    });
+  }
+
+  return {
+    speed: SIMULATED_SPEED || (toNumber(playlist.speed) > 0 ? toNumber(playlist.speed) : 1),
+    loop: playlist.loop !== false,
+    player: playlist.player || 'Simulator',
+    steps
+  };
+}
+
+// Playback state, advanced by the wall clock on every poll
+const simulation = {
+  script: null, // Loaded playlist, see loadSteps()
+  loading: null, // In-flight load
+  index: 0, // Current step
+  stepTime: 0, // Simulated seconds spent in the current step (including scripted pauses)
+  ended: false, // Reached the end of a non-looping playlist
+  userPaused: false, // Paused with a playback command
+  lastTick: 0 // Wall clock of the last advance (ms)
+};
+
+/**
+ * Load the playlist once
+ * @returns {Promise<Object>} - Script
+ * @throws {ProviderError}
+ */
+async function getScript() {
+  if (simulation.script) {
+    return simulation.script;
+  }
+  if (!simulation.loading) {
+    simulation.loading = (async () => {
+      let playlist;
+      try {
+        playlist = await readDataFile(SIMULATED_PLAYLIST);
+      } catch (error) {
+        const code = error.code === 'ENOENT' ? ProviderErrorCode.NOT_INSTALLED : ProviderErrorCode.PARSE_ERROR;
+        throw new ProviderError(code, `Could not load playlist ${SIMULATED_PLAYLIST}: ${error.message}`, { provider: NAME, cause: error });
+      }
+      simulation.script = await loadSteps(playlist);
+      simulation.lastTick = Date.now();
+      console.log(`[Simulated] Playing ${simulation.script.steps.length} entries from ${SIMULATED_PLAYLIST}`);
+      return simulation.script;
+    })().finally(() => {
+      simulation.loading = null;
+    });
+  }
+  return simulation.loading;
+}
+
+/**
+ * Move to another step
+ * @param {Object} script
+ * @param {number} index - Step index, wraps around when looping
+ */
+function goTo(script, index) {
+  const count = script.steps.length;
+  simulation.stepTime = 0;
+  simulation.ended = false;
+  if (index >= count && !script.loop) {
+    simulation.index = count - 1;
+    simulation.ended = true;
+    return;
+  }
+  simulation.index = ((index % count) + count) % count;
+}
+
+/**
+ * Advance the simulation to the current wall-clock time
+ * @param {Object} script
+ */
+function advance(script) {
+  const now = Date.now();
+  const elapsed = ((now - simulation.lastTick) / 1000) * script.speed;
+  simulation.lastTick = now;
+  if (simulation.userPaused || simulation.ended) {
+    return;
+  }
+
+  simulation.stepTime += elapsed;
+  while (!simulation.ended && simulation.stepTime >= script.steps[simulation.index].length) {
+    const overflow = simulation.stepTime - script.steps[simulation.index].length;
+    goTo(script, simulation.index + 1);
+    simulation.stepTime = simulation.ended ? 0 : overflow;
+  }
+}
+
+/**
+ * Position in the current track and whether a scripted pause is running
+ * @param {Object} step - Track step
+ * @returns {Object} - { position, scriptedPause }
+ */
+function trackPosition(step) {
+  const time = simulation.stepTime;
+  if (step.pauseAt === null || time <= step.pauseAt) {
+    return { position: time, scriptedPause: false };
+  }
+  if (time < step.pauseAt + step.pauseFor) {
+    return { position: step.pauseAt, scriptedPause: true };
+  }
+  return { position: time - step.pauseFor, scriptedPause: false };
+}
+
+/**
+ * Step time for a position in the current track (skips a scripted pause that
+ * lies before the position)
+ * @param {Object} step - Track step
+ * @param {number} position - Seconds
+ * @returns {number}
+ */
+function stepTimeAt(step, position) {
+  const clamped = Math.min(Math.max(position, 0), step.duration);
+  return step.pauseAt !== null && clamped > step.pauseAt ? clamped + step.pauseFor : clamped;
+}
+
+module.exports = {
+  name: NAME,
+
+  /**
+   * Only used when a playlist is configured
+   * @returns {Promise<boolean>}
+   */
+  async detect() {
+    return Boolean(SIMULATED_PLAYLIST);
+  },
+
+  /**
+   * Advance the script and report the current step
+   * @returns {Promise<Object|null>} - { player, track, status, position, duration, timestamp }, or null when stopped
+   * @throws {ProviderError}
+   */
+  async poll() {
+    if (!SIMULATED_PLAYLIST) {
+      throw new ProviderError(ProviderErrorCode.NOT_INSTALLED, 'SIMULATED_PLAYLIST is not set', { provider: NAME });
+    }
+    const script = await getScript();
+    advance(script);
+
+    const step = script.steps[simulation.index];
+    if (simulation.ended || step.stop) {
+      return null;
+    }
+
+    const { position, scriptedPause } = trackPosition(step);
+    return {
+      player: script.player,
+      track: step.track,
+      status: simulation.userPaused || scriptedPause ? 'paused' : 'playing',
+      position,
+      duration: step.duration,
+      speed: script.speed,
+      timestamp: Date.now()
+    };
+  },
+
+  /**
+   * Apply a playback command to the script
+   * @param {string} command - Playback command (play, pause, toggle, next, previous, seek)
+   * @param {number} [value] - Position in seconds for seek
+   * @returns {Promise<void>}
+   */
+  async control(command, value) {
+    const script = await getScript();
+    advance(script);
+    const step = script.steps[simulation.index];
+
+    if (command === 'play' || command === 'pause' || command === 'toggle') {
+      simulation.userPaused = command === 'toggle' ? !simulation.userPaused : command === 'pause';
+    } else if (command === 'next') {
+      goTo(script, simulation.index + 1);
+    } else if (command === 'previous') {
+      const restart = !step.stop && trackPosition(step).position > RESTART_THRESHOLD;
+      goTo(script, restart ? simulation.index : simulation.index - 1);
+    } else if (command === 'seek' && !step.stop) {
+      simulation.stepTime = stepTimeAt(step, Number(value) || 0);
+    }
+  },
+
+  /**
+   * Map the simulated state to the common track shape
+   * @param {Object|null} data - State from poll()
+   * @returns {Object} - { status, title, artist, album, cover, source, duration, elapsedTime, playbackRate, timestamp }
+   */
+  normalize(data) {
+    if (!data) {
+      return { status: 'stopped' };
+    }
+    return {
+      status: data.status,
+      title: data.track.title,
+      artist: data.track.artist,
+      album: data.track.album,
+      cover: data.track.cover,
+      source: data.player,
+      duration: data.duration,
+      elapsedTime: data.position,
+      playbackRate: data.status === 'playing' ? data.speed : 0,
+      timestamp: data.timestamp
+    };
+  }
+};
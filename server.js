@@ -1,21 +1,33 @@
 /**
  * Album Visualizer Server
  * 
- * Express server that provides real-time music information from macOS media players.
- * Uses media-control to detect currently playing music and fetches album artwork
- * from Last.fm, iTunes, or media-control itself.
+ * Express server that provides real-time music information from media players.
+ * Uses a pluggable now-playing provider (media-control by default) to detect
+ * currently playing music and fetches album artwork from Last.fm, iTunes, or
+ * the player itself.
  */
 
 const express = require('express');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const axios = require('axios');
 const path = require('path');
 const os = require('os');
 require('dotenv').config();
 
-// Convert exec to promise-based for async/await usage
-const execAsync = promisify(exec);
+const { pollNowPlaying, sendCommand, listProviders, detectProviders, CONTROL_COMMANDS, ProviderError } = require('./providers');
+const { parseCoverProviders, resolveCover, listCoverProviders, coverProviderStats } = require('./covers');
+const ArtworkCache = require('./covers/cache');
+const { VARIANT_FORMATS, snapSize } = require('./covers/resize');
+const { requestStats } = require('./covers/request');
+const NowPlayingMonitor = require('./services/now-playing-monitor');
+const HistoryStore = require('./services/history');
+const Scrobbler = require('./services/scrobbler');
+const EventBus = require('./services/event-bus');
+const WebhookDispatcher = require('./services/webhooks');
+const MqttPublisher = require('./services/mqtt-publisher');
+const AccessControl = require('./services/access-control');
+const { LyricsService } = require('./services/lyrics');
+const { getBuildVersion } = require('./services/build-version');
+const { formatMetrics } = require('./services/metrics');
+const { version: PACKAGE_VERSION } = require('./package.json');
 
 // Initialize Express app
 const app = express();
@@ -23,373 +35,731 @@ const app = express();
 // Server configuration
 const PORT = process.env.PORT || 5000;
 const HOST = process.env.HOST || '0.0.0.0'; // Listen on all interfaces by default for network access
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, ''); // How other machines reach the server (default: the local IP and PORT)
+
+// Now-playing provider: 'auto' picks the first one detected on this machine
+const NOW_PLAYING_PROVIDER = process.env.NOW_PLAYING_PROVIDER || 'auto';
+const POLL_INTERVAL = parseInt(process.env.POLL_INTERVAL, 10) || 2000; // How often the server polls the player (ms)
+const SSE_HEARTBEAT_INTERVAL = 15000; // Keeps idle event streams from being closed by proxies
+const COMMAND_SETTLE_DELAY = 250; // Time players need to reflect a command before we re-poll (ms)
+
+// Runtime data (history, caches) lives here
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
 // Last.fm API configuration
 const LASTFM_API_KEY = process.env.LASTFM_API_KEY || '';
 const LASTFM_ENDPOINT = 'https://ws.audioscrobbler.com/2.0/';
 
-// iTunes API configuration
-const ITUNES_ENDPOINT = 'https://itunes.apple.com/search';
+// Last.fm scrobbling configuration (requires the API key and shared secret)
+const LASTFM_API_SECRET = process.env.LASTFM_API_SECRET || '';
+const LASTFM_SESSION_KEY = process.env.LASTFM_SESSION_KEY || ''; // Optional, skips the auth flow
+const LASTFM_SCROBBLE = process.env.LASTFM_SCROBBLE === 'true'; // Disabled by default
+
+// Integrations: playback events for home automation (see services/event-bus.js)
+const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || ''; // HMAC-SHA256 signing key, unsigned when empty
+const MQTT_URL = process.env.MQTT_URL || ''; // e.g. mqtt://localhost:1883, disabled when empty
+const MQTT_TOPIC = process.env.MQTT_TOPIC || 'album-visualizer';
+
+// Access control for displays on the network (see services/access-control.js)
+const ACCESS_TOKEN = process.env.ACCESS_TOKEN || ''; // Needed to view anything when set
+const CONTROL_TOKEN = process.env.CONTROL_TOKEN || ''; // Needed for playback control and admin endpoints when set
+const ACCESS_PAIRING = process.env.ACCESS_PAIRING !== 'false'; // Pair displays with a code shown on the host
+const PAIRING_SCOPE = process.env.PAIRING_SCOPE || ''; // Scope of paired displays: read or control (default: read, or control when viewing is open)
+const TRUST_LOCALHOST = process.env.TRUST_LOCALHOST !== 'false'; // This machine gets full access without a token
+const TRUST_PROXY = process.env.TRUST_PROXY || ''; // Express "trust proxy" setting when behind a reverse proxy
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const RATE_LIMIT = process.env.RATE_LIMIT ? parseInt(process.env.RATE_LIMIT, 10) : 300; // API requests per minute per client, 0 disables
+const CONTROL_RATE_LIMIT = process.env.CONTROL_RATE_LIMIT ? parseInt(process.env.CONTROL_RATE_LIMIT, 10) : 60; // Commands per minute per client
+const PAIRING_RATE_LIMIT = 10; // Pairing attempts per minute per client, keeps codes from being guessed
+
+// Lyrics configuration
+const LYRICS_DIR = process.env.LYRICS_DIR || ''; // Directory of .lrc/.txt files
+const LYRICS_PROVIDER_URL = process.env.LYRICS_PROVIDER_URL || ''; // LRCLIB-compatible API, e.g. https://lrclib.net
+
+// Cover art provider chain, tried in order (see covers/index.js)
+// Without COVER_PROVIDERS: Last.fm, then iTunes (unless USE_ITUNES=false), then the player's own artwork
 const USE_ITUNES = process.env.USE_ITUNES !== 'false'; // Enabled by default
+const COVER_PROVIDERS = parseCoverProviders(process.env.COVER_PROVIDERS || (USE_ITUNES ? 'lastfm,itunes,player' : 'lastfm,player'));
+
+// Persistent artwork cache (lookup results and image bytes) with LRU eviction
+const artworkCache = new ArtworkCache({
+  dir: process.env.COVER_CACHE_DIR || path.join(DATA_DIR, 'artwork-cache'),
+  maxEntries: parseInt(process.env.COVER_CACHE_MAX_ENTRIES, 10) || undefined,
+  maxBytes: (parseInt(process.env.COVER_CACHE_MAX_MB, 10) * 1024 * 1024) || undefined
+});
+const COVER_MAX_AGE = 7 * 24 * 60 * 60; // Browser cache lifetime of /api/cover/:id responses (seconds)
+
+// Version of the web client, sent to displays so they reload after an update
+// BUILD_VERSION overrides the hash of the static files (e.g. a git commit in deployments)
+const STATIC_DIR = path.join(__dirname, 'static');
+const buildVersion = process.env.BUILD_VERSION
+  ? Promise.resolve(process.env.BUILD_VERSION)
+  : getBuildVersion(STATIC_DIR, PACKAGE_VERSION);
+
+// Last provider error / cover logged, so a persistent state isn't logged on every poll
+let lastLoggedProviderError = null;
+let lastLoggedCover = null;
+
+// Displays connected to /api/events
+let eventClients = 0;
+const startTime = Date.now();
+
+// Behind a reverse proxy, take the client address from X-Forwarded-For
+if (TRUST_PROXY) {
+  try {
+    app.set('trust proxy', AccessControl.parseTrustProxy(TRUST_PROXY));
+  } catch (error) {
+    console.error(`\n❌ Error: ${error.message}\n`);
+    process.exit(1);
+  }
+}
+
+// Tokens, pairing, allowed origins and rate limits
+const accessControl = new AccessControl({
+  readToken: ACCESS_TOKEN,
+  controlToken: CONTROL_TOKEN,
+  pairing: ACCESS_PAIRING,
+  pairingScope: PAIRING_SCOPE,
+  trustLocalhost: TRUST_LOCALHOST,
+  allowedOrigins: ALLOWED_ORIGINS,
+  dataDir: DATA_DIR
+});
+app.use(accessControl.identify());
+app.use(accessControl.checkOrigin());
+app.use(['/api', '/metrics'], accessControl.rateLimit(RATE_LIMIT));
 
-// Cover art cache to avoid repeated API calls
-// Maps: cacheKey -> imageUrl
-const coverCache = new Map();
-// TTL cache to track when cached entries expire
-// Maps: cacheKey -> expirationTimestamp
-const coverCacheTTL = new Map();
-const CACHE_TTL = 60 * 60 * 1000; // 1 hour in milliseconds
+// Displays without access are sent to the pairing page
+app.get(['/', '/index.html', '/overlay', '/overlay.html'], accessControl.requirePage());
 
 // Serve static files from the 'static' directory
-app.use(express.static('static'));
+app.use(express.static(STATIC_DIR));
+
+// Parse JSON request bodies (playback control)
+app.use(express.json());
+
+// Malformed bodies get the API's error shape instead of Express's HTML error page
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: { code: 'INVALID_JSON', message: `Request body is not valid JSON: ${error.message}` } });
+  }
+  next(error);
+});
 
 /**
- * Execute a shell command and return the output
- * @param {string} cmd - Command to execute
- * @returns {Promise<string>} - Command output or empty string on error
+ * Turn a cover URL or data URI into a stable /api/cover/:id URL and its palette
+ * The artwork is stored in the artwork cache, so clients never load it from
+ * the cover provider directly, and the palette is extracted once per cover.
+ * Remote covers were already stored by resolveCover(), which moves on to the
+ * next provider when a download fails
+ * @param {string|null} cover - Cover URL or data URI
+ * @returns {Promise<Object>} - { cover, palette }, both null if there is no usable cover
  */
-async function runCommand(cmd) {
+async function proxyCover(cover) {
+  if (!cover) {
+    return { cover: null, palette: null };
+  }
   try {
-    const { stdout } = await execAsync(cmd, { timeout: 2000 });
-    return stdout.trim();
+    const id = await artworkCache.register(cover);
+    return { cover: `/api/cover/${id}`, palette: await artworkCache.getPalette(id) };
   } catch (error) {
-    return '';
+    return { cover: null, palette: null }; // Logged by the artwork cache
   }
 }
 
 /**
- * Get currently playing track information from media-control
- * Fetches metadata and artwork from various sources in priority order:
- * 1. Last.fm API (if configured)
- * 2. iTunes API (fallback)
- * 3. media-control artworkData (last resort)
+ * Get currently playing track information from the configured provider
+ * Fetches artwork through the cover provider chain (COVER_PROVIDERS)
+ * 
+ * Provider failures are returned as { status: 'error', error: { code, message, provider } }
+ * so the client can tell them apart from nothing playing.
  * 
  * @returns {Promise<Object>} - Track information with status, title, artist, album, cover, etc.
  */
 async function getNowPlaying() {
+  let track;
   try {
-    // Execute media-control command to get current track info
-    const output = await runCommand('media-control get');
-    if (!output) {
-      return { status: 'stopped' };
-    }
-
-    // Parse JSON response from media-control
-    let data;
-    try {
-      data = JSON.parse(output);
-    } catch (parseError) {
-      // Handle cases where media-control is not installed or returns error
-      if (output.includes('command not found') || output.includes('not found')) {
-        console.error('media-control is not installed. Install it with: brew install media-control');
-      } else {
-        console.error('Error parsing media-control output:', output);
+    track = await pollNowPlaying(NOW_PLAYING_PROVIDER);
+  } catch (error) {
+    if (error instanceof ProviderError) {
+      if (lastLoggedProviderError !== error.message) {
+        lastLoggedProviderError = error.message;
+        console.error(`[Provider] ${error.code}: ${error.message}`);
       }
-      return { status: 'stopped' };
-    }
-    
-    // Check if media is currently playing
-    // media-control returns data when something is playing, empty/null when stopped
-    // If we have title/artist, assume it's playing
-    const hasMetadata = (data.title || data.artist);
-    
-    if (!hasMetadata) {
-      return { status: 'stopped' };
+      return { status: 'error', error: error.toJSON() };
     }
+    console.error('Error getting now playing:', error);
+    return { status: 'error', error: { code: 'INTERNAL', message: error.message, provider: null } };
+  }
 
-    // Extract track metadata
-    const title = data.title || '';
-    const artist = data.artist || '';
-    const album = data.album || '';
-    const bundleIdentifier = data.bundleIdentifier || ''; // e.g., "com.spotify.client"
-    
-    // Handle artwork - prioritize Last.fm, then iTunes, then media-control
-    let cover = '';
-    let coverSource = '';
-    
-    // Priority 1: Try Last.fm first (if API key is configured)
-    // Last.fm usually has high-quality album artwork
-    if (title && artist && LASTFM_API_KEY) {
-      cover = await lastfmCover(artist, title);
-      if (cover) {
-        coverSource = 'Last.fm';
-        console.log(`[Cover] Using Last.fm for: ${artist} - ${title}`);
-      }
-    }
-    
-    // Priority 2: Fallback to iTunes if Last.fm didn't return a cover
-    // iTunes has good coverage and no API key required
-    if (!cover && title && artist && USE_ITUNES) {
-      cover = await itunesCover(artist, album || title);
+  lastLoggedProviderError = null;
+
+  if (track.status === 'stopped') {
+    return { status: 'stopped' };
+  }
+
+  try {
+    const { title, artist, album, source } = track;
+    const { cover, coverSource, coverScore } = await resolveCover(track, { order: COVER_PROVIDERS, cache: artworkCache });
+
+    // Log cover changes once instead of on every poll
+    const coverLog = `${artist}|${title}|${coverSource}`;
+    if (coverLog !== lastLoggedCover) {
+      lastLoggedCover = coverLog;
       if (cover) {
-        coverSource = 'iTunes';
-        console.log(`[Cover] Using iTunes for: ${artist} - ${title}`);
-      }
-    }
-    
-    // Priority 3: Last resort - use media-control artworkData if available
-    // This is base64 encoded image data directly from the media player
-    if (!cover && data.artworkData) {
-      try {
-        const buffer = Buffer.from(data.artworkData, 'base64');
-        
-        // Determine MIME type from file signature (magic bytes)
-        let mimeType = 'image/jpeg';
-        if (buffer[0] === 0x89 && buffer[1] === 0x50) mimeType = 'image/png'; // PNG signature
-        else if (buffer[0] === 0x47 && buffer[1] === 0x49) mimeType = 'image/gif'; // GIF signature
-        
-        // Convert base64 to data URI for direct use in HTML
-        cover = `data:${mimeType};base64,${data.artworkData}`;
-        coverSource = 'media-control';
-        console.log(`[Cover] Using media-control for: ${artist} - ${title}`);
-      } catch (error) {
-        console.error('Error processing artwork:', error);
+        console.log(`[Cover] Using ${coverSource} for: ${artist} - ${title}`);
+      } else {
+        console.log(`[Cover] No cover found for: ${artist} - ${title}`);
       }
     }
-    
-    // Log if no cover was found
-    if (!cover && title && artist) {
-      console.log(`[Cover] No cover found for: ${artist} - ${title}`);
-    }
 
     // Return track information
+    const { cover: coverUrl, palette } = await proxyCover(cover);
     return {
-      status: 'playing',
+      status: track.status, // 'playing' or 'paused'
       title,
       artist,
       album,
-      cover: cover || '',
-      source: bundleIdentifier,
-      coverSource: coverSource
+      cover: coverUrl,
+      palette, // Swatches and recommended text color, see covers/palette.js
+      source,
+      coverSource,
+      coverScore, // How well the cover search result matched (0-1), for debugging
+      duration: track.duration,
+      elapsedTime: track.elapsedTime,
+      playbackRate: track.playbackRate,
+      timestamp: track.timestamp
     };
   } catch (error) {
     console.error('Error getting now playing:', error);
-    return { status: 'stopped' };
+    return { status: 'error', error: { code: 'INTERNAL', message: error.message, provider: track.provider } };
   }
 }
 
+// Single shared poller - every display subscribes to it instead of polling the player itself
+const monitor = new NowPlayingMonitor({ poll: getNowPlaying, interval: POLL_INTERVAL });
+
+// Listening history - records every track change the monitor detects
+const history = new HistoryStore({ file: path.join(DATA_DIR, 'history.jsonl') });
+monitor.on('track-changed', (data) => history.trackStarted(data));
+monitor.on('stopped', () => history.trackEnded());
+
+// Last.fm scrobbling - only created when enabled and configured
+let scrobbler = null;
+if (LASTFM_SCROBBLE) {
+  if (LASTFM_API_KEY && LASTFM_API_SECRET) {
+    scrobbler = new Scrobbler({
+      apiKey: LASTFM_API_KEY,
+      apiSecret: LASTFM_API_SECRET,
+      endpoint: LASTFM_ENDPOINT,
+      dataDir: DATA_DIR,
+      sessionKey: LASTFM_SESSION_KEY
+    });
+    scrobbler.attach(monitor);
+  } else {
+    console.error('[Scrobbler] LASTFM_SCROBBLE requires LASTFM_API_KEY and LASTFM_API_SECRET');
+  }
+}
+
+// Playback events for webhooks and MQTT - only subscribed when configured
+const eventBus = new EventBus({ baseUrl: getPublicUrl() });
+eventBus.attach(monitor);
+
+let webhooks = null;
+if (WEBHOOK_URLS.length > 0) {
+  webhooks = new WebhookDispatcher({ urls: WEBHOOK_URLS, secret: WEBHOOK_SECRET });
+  webhooks.attach(eventBus);
+}
+
+let mqttPublisher = null;
+if (MQTT_URL) {
+  mqttPublisher = new MqttPublisher({
+    url: MQTT_URL,
+    topic: MQTT_TOPIC,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD
+  });
+  mqttPublisher.attach(eventBus);
+}
+
+// Lyrics lookup (local .lrc directory, then the HTTP provider)
+const lyrics = new LyricsService({ dir: LYRICS_DIR, providerUrl: LYRICS_PROVIDER_URL });
+
 /**
- * Fetch album artwork from iTunes API
- * Searches for album by artist and album name, then requests high-quality version
- * 
- * @param {string} artist - Artist name
- * @param {string} album - Album name
- * @returns {Promise<string|null>} - High-quality artwork URL or null if not found
+ * Write a Server-Sent Event to a response stream
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
  */
-async function itunesCover(artist, album) {
-  if (!artist || !album) {
-    return null;
-  }
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
-  // Create cache key for this artist/album combination
-  const key = `itunes:${artist.toLowerCase()}|${album.toLowerCase()}`;
+/**
+ * Track data stamped with the server's clock at sending time
+ * Displays compare it with their own clock instead of trusting it to match
+ * the server's, so a skewed display clock doesn't shift the progress bar
+ * @param {Object} data - Now playing data
+ * @returns {Object} - data with serverTime (epoch ms)
+ */
+function withServerTime(data) {
+  return { ...data, serverTime: Date.now() };
+}
+
+/**
+ * Find a query parameter that isn't a single string
+ * Express parses repeated parameters (?q=a&q=b) into arrays and brackets
+ * (?q[a]=b) into objects, which the lookups can't handle
+ * @param {Object} query - req.query
+ * @param {string[]} names - Parameters to check
+ * @returns {string|null} - Name of the first invalid parameter
+ */
+function findInvalidParam(query, names) {
+  return names.find(name => query[name] !== undefined && typeof query[name] !== 'string') || null;
+}
+
+/**
+ * Collect diagnostics for /api/health and /metrics
+ * status is 'error' while the now-playing provider fails, 'degraded' when
+ * polls are overdue or an artwork API is being skipped, and 'ok' otherwise
+ * @returns {Promise<Object>} - Health report
+ */
+async function getHealth() {
   const now = Date.now();
-  const exp = coverCacheTTL.get(key) || 0;
+  const requests = requestStats();
+  const cache = artworkCache.stats();
+  const lookups = cache.hits + cache.misses;
+  const toTime = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+  let status = 'ok';
+  if (monitor.current && monitor.current.status === 'error') {
+    status = 'error';
+  } else if (now - monitor.lastPollTime > POLL_INTERVAL * 5 || requests.some(client => client.state === 'open' || client.state === 'half-open')) {
+    status = 'degraded';
+  }
+
+  const available = await detectProviders();
+  const detected = available.find(provider => provider.detected);
+
+  return {
+    status,
+    version: await buildVersion,
+    uptime: Math.round((now - startTime) / 1000),
+    nowPlaying: monitor.current ? monitor.current.status : null,
+    provider: {
+      configured: NOW_PLAYING_PROVIDER,
+      active: NOW_PLAYING_PROVIDER === 'auto' ? (detected ? detected.name : null) : NOW_PLAYING_PROVIDER,
+      available,
+      polls: monitor.polls,
+      errors: monitor.errors,
+      lastPoll: toTime(monitor.lastPollTime),
+      lastPollDuration: monitor.lastPollDuration,
+      lastSuccess: toTime(monitor.lastSuccessTime),
+      lastError: monitor.lastError ? { ...monitor.lastError, time: toTime(monitor.lastError.time) } : null
+    },
+    covers: {
+      order: COVER_PROVIDERS,
+      available: listCoverProviders(),
+      providers: coverProviderStats().map(entry => ({
+        ...entry,
+        lastError: entry.lastError ? { ...entry.lastError, time: toTime(entry.lastError.time) } : null
+      })),
+      requests: requests.map(client => ({ ...client, retryAt: toTime(client.retryAt) }))
+    },
+    cache: { ...cache, hitRate: lookups ? Number((cache.hits / lookups).toFixed(3)) : null },
+    clients: eventClients,
+    access: accessControl.getStatus(),
+    integrations: {
+      webhooks: webhooks ? webhooks.getStatus() : null,
+      mqtt: mqttPublisher ? mqttPublisher.getStatus() : null
+    }
+  };
+}
 
-  // Check if we have a cached result that hasn't expired
-  if (now < exp && coverCache.has(key)) {
-    return coverCache.get(key);
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * Serve the main application page
+ */
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'static', 'index.html'));
+});
+
+/**
+ * Streaming overlay for OBS browser sources
+ * Transparent page with a compact card; see static/overlay.js for query options
+ */
+app.get('/overlay', (req, res) => {
+  res.sendFile(path.join(__dirname, 'static', 'overlay.html'));
+});
+
+/**
+ * Pairing page for new displays
+ */
+app.get('/pair', (req, res) => {
+  res.sendFile(path.join(__dirname, 'static', 'pair.html'));
+});
+
+/**
+ * Access state of the calling display
+ * Returns { enabled, scope, pairing }; scope is null without access, pairing
+ * is the scope a paired display gets (null when pairing is disabled)
+ */
+app.get('/api/auth', (req, res) => {
+  res.json({
+    enabled: accessControl.enabled,
+    scope: req.access.scope,
+    pairing: accessControl.pairingEnabled ? accessControl.pairingScope : null
+  });
+});
+
+/**
+ * Ask for a pairing code - the code is shown on the host (console and
+ * control-scope displays), never returned to the caller
+ */
+app.post('/api/pair/start', accessControl.rateLimit(PAIRING_RATE_LIMIT), async (req, res) => {
+  if (!accessControl.pairingEnabled) {
+    return res.status(404).json({ error: { code: 'PAIRING_DISABLED', message: 'Pairing is disabled. Sign in with an access token instead' } });
   }
+  res.json(await accessControl.startPairing(getPublicUrl()));
+});
 
-  try {
-    // Build search query: artist + album name
-    const searchTerm = encodeURIComponent(`${artist} ${album}`);
-    const url = `${ITUNES_ENDPOINT}?term=${searchTerm}&entity=album&limit=1`;
-    
-    // Fetch from iTunes API
-    const response = await axios.get(url, { timeout: 3000 });
-    const data = response.data;
-
-    if (data.results && data.results.length > 0) {
-      const albumData = data.results[0];
-      
-      // iTunes provides artworkUrl60 (60x60) and artworkUrl100 (100x100)
-      // We can request larger sizes by modifying the URL
-      const artworkUrl = albumData.artworkUrl100 || albumData.artworkUrl60;
-      
-      if (artworkUrl) {
-        // Try multiple strategies to get the highest quality (up to 2000x2000)
-        // Strategy 1: Replace size parameter with 2000x2000bb (maximum iTunes supports)
-        let highQualityUrl = artworkUrl.replace(/\/(\d+)x(\d+)bb\.(jpg|png|gif)/i, '/2000x2000bb.$3');
-        
-        // Strategy 2: If that didn't work, try without 'bb' suffix
-        if (highQualityUrl === artworkUrl) {
-          highQualityUrl = artworkUrl.replace(/\/(\d+)x(\d+)\.(jpg|png|gif)/i, '/2000x2000.$3');
-        }
-        
-        // Strategy 3: Try extracting base URL pattern and reconstructing with max size
-        if (highQualityUrl === artworkUrl) {
-          // iTunes URL pattern: https://isX-ssl.mzstatic.com/image/thumb/.../source/2000x2000bb.jpg
-          const baseMatch = artworkUrl.match(/^(https:\/\/is\d+-ssl\.mzstatic\.com\/image\/thumb\/[^\/]+\/[^\/]+\/)(\d+x\d+bb\.)(jpg|png|gif)$/i);
-          if (baseMatch) {
-            highQualityUrl = baseMatch[1] + '2000x2000bb.' + baseMatch[3];
-          }
-        }
-        
-        // Cache the high-quality URL
-        coverCache.set(key, highQualityUrl);
-        coverCacheTTL.set(key, now + CACHE_TTL);
-        
-        console.log(`[iTunes] Original: ${artworkUrl}`);
-        console.log(`[iTunes] High quality: ${highQualityUrl}`);
-        return highQualityUrl;
-      }
+/**
+ * Pair with the code shown on the host, or sign in with an access token
+ * Body: { code } or { password }. Sets the access cookie and returns { scope }
+ */
+app.post('/api/pair', accessControl.rateLimit(PAIRING_RATE_LIMIT), async (req, res) => {
+  const { code, password } = req.body || {};
+  if (password) {
+    const match = accessControl.checkToken(String(password));
+    if (!match) {
+      return res.status(401).json({ error: { code: 'INVALID_PASSWORD', message: 'Wrong access token' } });
     }
-    return null;
-  } catch (error) {
-    console.error('Error fetching iTunes cover:', error);
-    return null;
+    accessControl.setCookie(req, res, String(password));
+    return res.json({ scope: match.scope });
   }
-}
+
+  if (!accessControl.pairingEnabled) {
+    return res.status(404).json({ error: { code: 'PAIRING_DISABLED', message: 'Pairing is disabled. Sign in with an access token instead' } });
+  }
+  if (!code) {
+    return res.status(400).json({ error: { code: 'MISSING_CODE', message: 'Send the pairing "code" or a "password"' } });
+  }
+  const paired = await accessControl.pair(code, req.get('User-Agent'));
+  if (!paired) {
+    return res.status(401).json({ error: { code: 'INVALID_CODE', message: 'Wrong or expired pairing code' } });
+  }
+  accessControl.setCookie(req, res, paired.token);
+  res.json({ scope: paired.device.scope, device: paired.device });
+});
+
+// Everything below needs at least read access; control endpoints also require 'control'
+app.use(['/api', '/metrics'], accessControl.require('read'));
 
 /**
- * Fetch album artwork from Last.fm API
- * Tries album.getInfo first (usually better quality), then track.getInfo as fallback
- * Attempts to get the largest available image size
- * 
- * @param {string} artist - Artist name
- * @param {string} track - Track name (used as album name fallback)
- * @returns {Promise<string|null>} - High-quality artwork URL or null if not found
+ * Paired displays
+ */
+app.get('/api/devices', accessControl.require('control'), (req, res) => {
+  res.json({ devices: accessControl.listDevices() });
+});
+
+/**
+ * Revoke a paired display
  */
-async function lastfmCover(artist, track) {
-  if (!LASTFM_API_KEY) {
-    return null;
+app.delete('/api/devices/:id', accessControl.require('control'), async (req, res) => {
+  if (!await accessControl.revoke(req.params.id)) {
+    return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Unknown device id' } });
   }
+  res.json({ devices: accessControl.listDevices() });
+});
 
-  // Create cache key for this artist/track combination
-  const key = `${artist.toLowerCase()}|${track.toLowerCase()}`;
-  const now = Date.now();
-  const exp = coverCacheTTL.get(key) || 0;
+/**
+ * API endpoint to get currently playing track information
+ * Returns JSON with track metadata and cover art URL
+ * Serves the monitor's latest poll when it is fresh, so polling clients don't
+ * each trigger their own provider call
+ * Responds with 503 and a structured error when the provider fails
+ */
+app.get('/api/now', async (req, res) => {
+  res.set('X-Build-Version', await buildVersion);
+  const isFresh = monitor.current && Date.now() - monitor.lastPollTime < POLL_INTERVAL * 2;
+  const data = isFresh ? monitor.current : await getNowPlaying();
+  res.status(data.status === 'error' ? 503 : 200).json(withServerTime(data));
+});
+
+/**
+ * Health and diagnostics: provider availability and errors, poll timing,
+ * cover lookup counters and latency, artwork API state, cache hit rate
+ * Responds with 503 while the now-playing provider fails
+ */
+app.get('/api/health', async (req, res) => {
+  const health = await getHealth();
+  res.status(health.status === 'error' ? 503 : 200).json(health);
+});
 
-  // Check if we have a cached result that hasn't expired
-  if (now < exp && coverCache.has(key)) {
-    return coverCache.get(key);
+/**
+ * Prometheus metrics (text exposition format)
+ */
+app.get('/metrics', async (req, res) => {
+  res.type('text/plain; version=0.0.4').send(formatMetrics(await getHealth()));
+});
+
+/**
+ * Cover artwork, served from the artwork cache
+ * Ids come from /api/now; images are immutable per id, so they are cached by
+ * the browser for a long time and revalidated with ETags
+ * Query: size (pixels, rounded up to a variant size) returns a downscaled copy,
+ * as WebP when the browser accepts it and JPEG otherwise; format (jpeg, webp) overrides
+ */
+app.get('/api/cover/:id', async (req, res) => {
+  if (!/^[0-9a-f]{40}$/.test(req.params.id)) {
+    return res.status(400).json({ error: { code: 'INVALID_ID', message: 'Invalid cover id' } });
+  }
+
+  const size = req.query.size ? parseInt(req.query.size, 10) : null;
+  if (size !== null && !(size > 0)) {
+    return res.status(400).json({ error: { code: 'INVALID_SIZE', message: '"size" must be a positive number of pixels' } });
+  }
+  if (req.query.format && !VARIANT_FORMATS[req.query.format]) {
+    return res.status(400).json({ error: { code: 'INVALID_FORMAT', message: `"format" must be one of: ${Object.keys(VARIANT_FORMATS).join(', ')}` } });
   }
 
+  let image;
   try {
-    // Strategy 1: Try album.getInfo first (usually has better quality images)
-    let params = {
-      method: 'album.getInfo',
-      api_key: LASTFM_API_KEY,
-      artist: artist,
-      album: track, // Use track name as album name fallback
-      format: 'json',
-      autocorrect: 1 // Allow Last.fm to autocorrect artist/track names
-    };
+    if (size) {
+      // Only trust an explicit image/webp - wildcards are sent by browsers without WebP support too
+      const format = req.query.format || ((req.get('Accept') || '').includes('image/webp') ? 'webp' : 'jpeg');
+      if (!req.query.format) {
+        res.vary('Accept');
+      }
+      image = await artworkCache.getImageVariant(req.params.id, snapSize(size), format);
+    } else {
+      image = await artworkCache.getImageById(req.params.id);
+    }
+  } catch (error) {
+    console.error(`[Cover] Could not fetch artwork ${req.params.id}:`, error.message);
+    return res.status(502).json({ error: { code: 'FETCH_FAILED', message: 'Could not fetch artwork' } });
+  }
+  if (!image) {
+    return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Unknown cover id' } });
+  }
+
+  res.set({
+    'Cache-Control': `public, max-age=${COVER_MAX_AGE}, immutable`,
+    'ETag': image.etag
+  });
+  if (req.get('If-None-Match') === image.etag) {
+    return res.status(304).end();
+  }
+  res.type(image.contentType).send(image.buffer);
+});
 
-    let response = await axios.get(LASTFM_ENDPOINT, { params, timeout: 3000 });
-    let data = response.data;
-    let images = null;
+/**
+ * Server-Sent Events stream of track changes
+ * Sends a 'hello' event with the build version and the current state immediately,
+ * then 'track-changed' / 'playback-changed' / 'stopped' events whenever the monitor
+ * detects a change, and a 'heartbeat' event while idle
+ * Control-scope displays also get 'pairing' events to show pairing codes
+ * The stream of a paired display ends when the display is revoked
+ */
+app.get('/api/events', async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable buffering behind nginx
+  });
+  res.flushHeaders();
+
+  // Tell EventSource how long to wait before reconnecting
+  res.write(`retry: ${POLL_INTERVAL}\n\n`);
+  sendEvent(res, 'hello', { version: await buildVersion });
+
+  if (monitor.current) {
+    sendEvent(res, NowPlayingMonitor.getEventName(monitor.current), withServerTime(monitor.current));
+  }
 
-    // Extract images from album data
-    if (data.album && data.album.image) {
-      images = data.album.image;
+  const onTrackChanged = (data) => sendEvent(res, 'track-changed', withServerTime(data));
+  const onPlaybackChanged = (data) => sendEvent(res, 'playback-changed', withServerTime(data));
+  const onStopped = (data) => sendEvent(res, 'stopped', withServerTime(data));
+  monitor.on('track-changed', onTrackChanged);
+  monitor.on('playback-changed', onPlaybackChanged);
+  monitor.on('stopped', onStopped);
+
+  // Pairing codes are only shown on displays with full access, e.g. the host's own screen
+  const showPairing = accessControl.pairingEnabled && req.access.scope === 'control';
+  const onPairing = (prompt) => sendEvent(res, 'pairing', prompt);
+  if (showPairing) {
+    if (accessControl.getPairingPrompt()) {
+      onPairing(accessControl.getPairingPrompt());
     }
+    accessControl.on('pairing', onPairing);
+  }
 
-    // Strategy 2: If album.getInfo didn't work, try track.getInfo
-    if (!images || images.length === 0) {
-      params = {
-        method: 'track.getInfo',
-        api_key: LASTFM_API_KEY,
-        artist: artist,
-        track: track,
-        format: 'json',
-        autocorrect: 1
-      };
-
-      response = await axios.get(LASTFM_ENDPOINT, { params, timeout: 3000 });
-      data = response.data;
-
-      // Extract images from track data
-      if (data.track) {
-        if (data.track.album && data.track.album.image) {
-          images = data.track.album.image;
-        } else if (data.track.image) {
-          images = data.track.image;
-        }
-      }
+  const deviceId = req.access.device ? req.access.device.id : null;
+  const onRevoked = (id) => {
+    if (id === deviceId) {
+      res.end();
     }
+  };
+  accessControl.on('revoked', onRevoked);
+
+  const heartbeat = setInterval(() => sendEvent(res, 'heartbeat', { time: Date.now() }), SSE_HEARTBEAT_INTERVAL);
+  eventClients++;
+
+  // 'close' on the response also fires when the stream is ended here
+  res.on('close', () => {
+    eventClients--;
+    clearInterval(heartbeat);
+    monitor.off('track-changed', onTrackChanged);
+    monitor.off('playback-changed', onPlaybackChanged);
+    monitor.off('stopped', onStopped);
+    accessControl.off('pairing', onPairing);
+    accessControl.off('revoked', onRevoked);
+  });
+});
 
-    if (images) {
-      // Last.fm image sizes (from smallest to largest):
-      // small (34x34), medium (64x64), large (174x174), extralarge (300x300), mega (varies, usually 300x300 to 600x600)
-      // Try largest first
-      for (const size of ['mega', 'extralarge', 'large', 'medium']) {
-        for (const img of images) {
-          if (img.size === size && img['#text']) {
-            let url = img['#text'];
-            
-            // Try multiple strategies to get the highest quality
-            // Strategy 1: Remove size parameters to get original (larger) version
-            let bestUrl = url.replace(/\/\d+[sm]\.(jpg|png|gif)$/i, '/.$1')
-                             .replace(/\/\d+x\d+\.(jpg|png|gif)$/i, '/.$1')
-                             .replace(/\/\d+[sm]\.(jpg|png|gif)$/i, '/.$1');
-            
-            // Strategy 2: Try to get larger size by replacing size pattern
-            if (bestUrl === url || bestUrl.includes('undefined')) {
-              // Last.fm URL patterns: .../174s/... or .../300x300/... or .../avatar170s/...
-              // Try to get the largest available by removing size constraints
-              bestUrl = url.replace(/\/(\d+)[sm]\.(jpg|png|gif)$/i, '/.$2')
-                          .replace(/\/(\d+)x(\d+)\.(jpg|png|gif)$/i, '/.$3');
-            }
-            
-            // Strategy 3: If URL has size in path, try removing it
-            if (bestUrl === url || bestUrl.includes('undefined')) {
-              bestUrl = url.replace(/\/avatar\d+[sm]/, '')
-                          .replace(/\/\d+[sm]\//, '/')
-                          .replace(/\/\d+x\d+\//, '/');
-            }
-            
-            // Use the best URL we found, or fallback to original
-            const finalUrl = (bestUrl && bestUrl !== url && !bestUrl.includes('undefined')) ? bestUrl : url;
-            
-            // Cache the result
-            coverCache.set(key, finalUrl);
-            coverCacheTTL.set(key, now + CACHE_TTL);
-            
-            console.log(`[Last.fm] Found ${size} image`);
-            console.log(`[Last.fm] Original: ${url}`);
-            console.log(`[Last.fm] Optimized: ${finalUrl}`);
-            return finalUrl;
-          }
-        }
-      }
-      
-      // Fallback: use first available image
-      for (const img of images) {
-        if (img['#text']) {
-          const url = img['#text'];
-          coverCache.set(key, url);
-          coverCacheTTL.set(key, now + CACHE_TTL);
-          return url;
-        }
-      }
+/**
+ * Listening history, newest first
+ * Query: limit, offset, artist, album, source, q (substring), since, until
+ * (epoch ms or ISO date). The play in progress is returned separately as `current`
+ */
+app.get('/api/history', (req, res) => {
+  const invalid = findInvalidParam(req.query, ['limit', 'offset', 'artist', 'album', 'source', 'q', 'since', 'until']);
+  if (invalid) {
+    return res.status(400).json({ error: { code: 'INVALID_PARAMETER', message: `"${invalid}" must be a single value` } });
+  }
+  for (const param of ['since', 'until']) {
+    if (req.query[param] && isNaN(HistoryStore.parseTime(req.query[param]))) {
+      return res.status(400).json({ error: { code: 'INVALID_DATE', message: `"${param}" must be epoch milliseconds or an ISO date` } });
     }
-    return null;
+  }
+  res.json(history.query(req.query));
+});
+
+/**
+ * Lyrics for a track
+ * Query: title, artist, album, duration - defaults to the track currently playing
+ * Returns { found, synced, lines: [{ time, text }], source }; time is in
+ * seconds for synced lyrics and null for plain lyrics
+ */
+app.get('/api/lyrics', async (req, res) => {
+  const invalid = findInvalidParam(req.query, ['title', 'artist', 'album', 'duration']);
+  if (invalid) {
+    return res.status(400).json({ error: { code: 'INVALID_PARAMETER', message: `"${invalid}" must be a single value` } });
+  }
+
+  const current = monitor.current || {};
+  const track = req.query.title ? {
+    title: req.query.title,
+    artist: req.query.artist || '',
+    album: req.query.album || '',
+    duration: Number(req.query.duration) || null
+  } : current;
+
+  try {
+    res.json(await lyrics.getLyrics(track));
   } catch (error) {
-    console.error('Error fetching Last.fm cover:', error);
-    return null;
+    console.error('[Lyrics] Lookup failed:', error.message);
+    res.status(500).json({ error: { code: 'INTERNAL', message: error.message } });
   }
-}
+});
 
-// ============================================================================
-// ROUTES
-// ============================================================================
+/**
+ * Inspect the artwork cache
+ * Returns statistics and entries, most recently used first
+ */
+app.get('/api/cache', (req, res) => {
+  res.json({ ...artworkCache.stats(), items: artworkCache.list() });
+});
 
 /**
- * Serve the main application page
+ * Purge the artwork cache
+ * Query: key (single entry), provider (all lookups of a provider),
+ * notFound=true (only cached "not found" results); no query purges everything
  */
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'static', 'index.html'));
+app.delete('/api/cache', accessControl.require('control'), (req, res) => {
+  const removed = artworkCache.purge({
+    key: req.query.key,
+    provider: req.query.provider,
+    notFound: req.query.notFound === 'true'
+  });
+  console.log(`[Cache] Purged ${removed} entries`);
+  res.json({ removed, ...artworkCache.stats() });
 });
 
 /**
- * API endpoint to get currently playing track information
- * Returns JSON with track metadata and cover art URL
+ * Last.fm scrobbling status
  */
-app.get('/api/now', async (req, res) => {
-  const data = await getNowPlaying();
-  res.json(data);
+app.get('/api/lastfm/status', (req, res) => {
+  res.json({ enabled: Boolean(scrobbler), ...(scrobbler ? scrobbler.getStatus() : {}) });
+});
+
+/**
+ * Start the Last.fm auth flow - redirects to Last.fm, which sends the user
+ * back to /api/lastfm/callback with a token
+ */
+app.get('/api/lastfm/auth', accessControl.require('control'), (req, res) => {
+  if (!scrobbler) {
+    return res.status(404).json({ error: { code: 'SCROBBLING_DISABLED', message: 'Set LASTFM_SCROBBLE=true, LASTFM_API_KEY and LASTFM_API_SECRET to enable scrobbling' } });
+  }
+  res.redirect(scrobbler.getAuthUrl(`${req.protocol}://${req.get('host')}/api/lastfm/callback`));
+});
+
+/**
+ * Last.fm auth callback - exchanges the token for a session key
+ */
+app.get('/api/lastfm/callback', accessControl.require('control'), async (req, res) => {
+  if (!scrobbler) {
+    return res.status(404).json({ error: { code: 'SCROBBLING_DISABLED', message: 'Scrobbling is disabled' } });
+  }
+  if (!req.query.token) {
+    return res.status(400).json({ error: { code: 'MISSING_TOKEN', message: 'Missing "token" parameter' } });
+  }
+
+  try {
+    const session = await scrobbler.authenticate(req.query.token);
+    res.type('text/plain').send(`Connected to Last.fm as ${session.name}. You can close this page.`);
+  } catch (error) {
+    console.error('[Scrobbler] Authentication failed:', error.message);
+    res.status(502).json({ error: { code: 'LASTFM_AUTH_FAILED', message: error.message } });
+  }
+});
+
+/**
+ * Playback control endpoint
+ * Commands: play, pause, toggle, next, previous, seek (body: { "position": seconds })
+ * Re-polls the player after the command and returns the new state so the
+ * caller can update immediately; other displays get it over /api/events
+ */
+app.post('/api/control/:command', accessControl.require('control'), accessControl.rateLimit(CONTROL_RATE_LIMIT), async (req, res) => {
+  const { command } = req.params;
+  if (!CONTROL_COMMANDS.includes(command)) {
+    return res.status(400).json({ error: { code: 'INVALID_COMMAND', message: `Unknown command "${command}". Available: ${CONTROL_COMMANDS.join(', ')}` } });
+  }
+
+  const position = Number(req.body && req.body.position);
+  if (command === 'seek' && !(position >= 0)) {
+    return res.status(400).json({ error: { code: 'INVALID_POSITION', message: 'seek requires a non-negative "position" in seconds' } });
+  }
+
+  try {
+    await sendCommand(NOW_PLAYING_PROVIDER, command, position);
+  } catch (error) {
+    if (error instanceof ProviderError) {
+      console.error(`[Control] ${command} failed - ${error.code}: ${error.message}`);
+      const status = error.code === 'UNSUPPORTED' ? 501 : 503;
+      return res.status(status).json({ status: 'error', error: error.toJSON() });
+    }
+    console.error(`[Control] ${command} failed:`, error);
+    return res.status(500).json({ status: 'error', error: { code: 'INTERNAL', message: error.message, provider: null } });
+  }
+
+  await new Promise(resolve => setTimeout(resolve, COMMAND_SETTLE_DELAY));
+  const data = await monitor.tick();
+  res.json(withServerTime(data));
 });
 
 // ============================================================================
@@ -414,15 +784,55 @@ function getLocalIP() {
   return 'localhost';
 }
 
+/**
+ * Access control summary for the startup message
+ * @returns {string}
+ */
+function describeAccess() {
+  if (!accessControl.enabled) {
+    return 'open (set ACCESS_TOKEN or CONTROL_TOKEN to protect it)';
+  }
+  const view = ACCESS_TOKEN ? 'token' : 'open';
+  const pairing = accessControl.pairingEnabled ? `, pairing at /pair (${accessControl.pairingScope})` : '';
+  return `view: ${view}, control: token${pairing}`;
+}
+
+/**
+ * Base URL other machines reach this server at, for links sent off the page
+ * (event cover URLs, pairing QR codes)
+ * @returns {string} - PUBLIC_URL, or the bound address with the port
+ */
+function getPublicUrl() {
+  if (PUBLIC_URL) {
+    return PUBLIC_URL;
+  }
+  const host = HOST === '0.0.0.0' || HOST === '::' ? getLocalIP() : HOST;
+  return `http://${host.includes(':') ? `[${host}]` : host}:${PORT}`;
+}
+
 // Start the server
-const server = app.listen(PORT, HOST, () => {
+const server = app.listen(PORT, HOST, async () => {
+  await history.load();
+  await artworkCache.load();
+  await accessControl.load();
+  if (scrobbler) {
+    await scrobbler.start();
+  }
+  if (mqttPublisher) {
+    mqttPublisher.start();
+  }
+  monitor.start();
+
   const localIP = getLocalIP();
   console.log('\n🎵 Album Visualizer is running!');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log(`📍 Local:    http://localhost:${PORT}`);
   console.log(`🌐 Network:  http://${localIP}:${PORT}`);
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log('💡 Make sure media-control is installed: brew install media-control\n');
+  console.log(`🎧 Provider: ${NOW_PLAYING_PROVIDER} (available: ${listProviders().join(', ')})`);
+  console.log(`🖼️  Covers:   ${COVER_PROVIDERS.join(' → ')}`);
+  console.log(`🏷️  Build:    ${await buildVersion}`);
+  console.log(`🔒 Access:   ${describeAccess()}\n`);
 });
 
 // Handle server errors
@@ -439,3 +849,16 @@ server.on('error', (error) => {
     process.exit(1);
   }
 });
+
+// Close the play in progress so it is written to history before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    monitor.stop();
+    await history.trackEnded();
+    await artworkCache.save();
+    if (mqttPublisher) {
+      await mqttPublisher.stop().catch(() => {});
+    }
+    process.exit(0);
+  });
+}
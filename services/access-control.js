@@ -0,0 +1,586 @@
+/**
+ * AccessControl - Tokens, pairing, origin checks and rate limits
+ *
+ * Two scopes protect the server when it is reachable from the network:
+ *
+ *   'read'    - Pages, now playing, covers, lyrics, history, diagnostics
+ *   'control' - Everything in 'read' plus playback commands, cache purges,
+ *               Last.fm auth and device management
+ *
+ * With ACCESS_TOKEN set, every request needs at least the read scope; with
+ * only CONTROL_TOKEN set, reading stays open and only control is protected.
+ * Credentials are accepted as `Authorization: Bearer <token>`, a `?token=`
+ * query (e.g. in OBS browser source URLs) or the `av_token` cookie set by
+ * the pairing page, which also takes a token as a password.
+ *
+ * Pairing authorizes a new display without typing a token: the display
+ * opens /pair, the server shows a short code and a QR code in its console
+ * and on control-scope displays (the host's own screen), and entering the
+ * code issues a device token. Device tokens are stored hashed in
+ * DATA_DIR/devices.json and can be revoked through /api/devices.
+ *
+ * Independent of tokens, cross-origin requests are rejected unless the
+ * origin is listed in ALLOWED_ORIGINS, and each client is rate limited.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs/promises');
+const path = require('path');
+const QRCode = require('qrcode');
+
+const SCOPES = ['read', 'control'];
+const COOKIE_NAME = 'av_token';
+const COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000; // Paired displays stay signed in for a year (ms)
+const PAIRING_CODE_LENGTH = 6; // Digits
+const PAIRING_CODE_TTL = 5 * 60 * 1000; // A code is valid this long (ms)
+const PAIRING_MAX_FAILURES = 5; // Wrong codes from all clients before the code is replaced by a new one
+const LAST_SEEN_SAVE_INTERVAL = 60 * 60 * 1000; // A device's lastSeen is written to disk at most this often (ms)
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+/**
+ * SHA-256 of a token, as stored and compared
+ * @param {string} token
+ * @returns {Buffer}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * Compare a token with a configured secret in constant time
+ * @param {string} token - Token from the request
+ * @param {string} secret - Configured token, never matches when empty
+ * @returns {boolean}
+ */
+function tokenMatches(token, secret) {
+  return Boolean(secret) && crypto.timingSafeEqual(hashToken(token), hashToken(secret));
+}
+
+/**
+ * Read one cookie from a request (Express doesn't parse cookies by itself)
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+  for (const part of (req.get('Cookie') || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Send a JSON error in the API's usual shape
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message
+ */
+function sendError(res, status, code, message) {
+  res.status(status).json({ error: { code, message } });
+}
+
+/**
+ * Per-client token buckets: `limit` requests per minute, refilled continuously
+ */
+class RateLimiter {
+  /**
+   * @param {number} limit - Requests per minute per client
+   */
+  constructor(limit) {
+    this.limit = limit;
+    this.buckets = new Map(); // client -> { tokens, time }
+  }
+
+  /**
+   * Take one request from a client's bucket
+   * @param {string} client - Client key
+   * @returns {number} - 0 if allowed, otherwise seconds until the next request is allowed
+   */
+  take(client) {
+    const now = Date.now();
+    const refillRate = this.limit / 60000; // Tokens per ms
+    const bucket = this.buckets.get(client) || { tokens: this.limit, time: now };
+    bucket.tokens = Math.min(this.limit, bucket.tokens + (now - bucket.time) * refillRate);
+    bucket.time = now;
+    this.buckets.set(client, bucket);
+
+    if (this.buckets.size > 1000) {
+      this.prune(now, refillRate);
+    }
+    if (bucket.tokens < 1) {
+      return Math.ceil((1 - bucket.tokens) / refillRate / 1000);
+    }
+    bucket.tokens--;
+    return 0;
+  }
+
+  /**
+   * Forget clients whose bucket has refilled completely
+   * @param {number} now - Current time (ms)
+   * @param {number} refillRate - Tokens per ms
+   */
+  prune(now, refillRate) {
+    for (const [client, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.time) * refillRate >= this.limit) {
+        this.buckets.delete(client);
+      }
+    }
+  }
+}
+
+class AccessControl extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} [options.readToken] - ACCESS_TOKEN, required for reading when set
+   * @param {string} [options.controlToken] - CONTROL_TOKEN, required for control when set
+   * @param {boolean} [options.pairing] - Whether displays can pair with a code
+   * @param {string} [options.pairingScope] - Scope of paired displays, 'read' or 'control';
+   *   defaults to 'read' with ACCESS_TOKEN and to 'control' when reading is open
+   * @param {boolean} [options.trustLocalhost] - Grant the control scope to requests from this machine
+   * @param {string[]} [options.allowedOrigins] - Other origins allowed to call the API ('*' for any)
+   * @param {string} options.dataDir - Directory for the device file
+   */
+  constructor({ readToken = '', controlToken = '', pairing = true, pairingScope = '', trustLocalhost = true, allowedOrigins = [], dataDir }) {
+    super();
+    this.readToken = readToken;
+    this.controlToken = controlToken;
+    this.enabled = Boolean(readToken || controlToken);
+    this.pairingEnabled = this.enabled && pairing;
+    this.pairingScope = SCOPES.includes(pairingScope) ? pairingScope : (readToken ? 'read' : 'control');
+    this.trustLocalhost = trustLocalhost;
+    this.allowedOrigins = allowedOrigins;
+    this.devicesFile = path.join(dataDir, 'devices.json');
+
+    this.devices = []; // [{ id, name, scope, tokenHash, created, lastSeen }]
+    this.pairingCode = null; // { code, expiresAt, failures, baseUrl, timer, prompt }
+    this.stats = { unauthorized: 0, forbidden: 0, originRejected: 0, rateLimited: 0 };
+  }
+
+  /**
+   * Load paired devices from disk
+   */
+  async load() {
+    try {
+      this.devices = JSON.parse(await fs.readFile(this.devicesFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[Access] Could not read paired devices:', error.message);
+      }
+      this.devices = [];
+    }
+  }
+
+  /**
+   * Write paired devices to disk
+   */
+  async save() {
+    try {
+      await fs.mkdir(path.dirname(this.devicesFile), { recursive: true });
+      await fs.writeFile(this.devicesFile, JSON.stringify(this.devices, null, 2), { mode: 0o600 });
+    } catch (error) {
+      console.error('[Access] Could not save paired devices:', error.message);
+    }
+  }
+
+  /**
+   * Whether a request comes from this machine
+   * Behind a reverse proxy on the same machine every request does, unless
+   * TRUST_PROXY is set so req.ip is the original client
+   * @param {Object} req - Express request
+   * @returns {boolean}
+   */
+  static isLocal(req) {
+    return LOOPBACK_ADDRESSES.includes(req.ip);
+  }
+
+  /**
+   * Express "trust proxy" setting for TRUST_PROXY
+   * `true` is refused: Express would then believe X-Forwarded-For from any
+   * client, so anyone could claim to be this machine and get local access
+   * @param {string} value - TRUST_PROXY, e.g. 'loopback' or a hop count
+   * @returns {string|number}
+   * @throws {Error} For 'true'
+   */
+  static parseTrustProxy(value) {
+    if (String(value).trim().toLowerCase() === 'true') {
+      throw new Error('TRUST_PROXY=true lets any client claim to be this machine. Use TRUST_PROXY=loopback (proxy on this machine) or the number of proxies in front of the server');
+    }
+    return Number(value) || value;
+  }
+
+  /**
+   * Token sent with a request: Authorization header, ?token= or the cookie
+   * @param {Object} req - Express request
+   * @returns {string|null}
+   */
+  static getToken(req) {
+    const header = req.get('Authorization') || '';
+    if (/^Bearer\s+/i.test(header)) {
+      return header.replace(/^Bearer\s+/i, '').trim();
+    }
+    if (typeof req.query.token === 'string' && req.query.token) {
+      return req.query.token;
+    }
+    return readCookie(req, COOKIE_NAME);
+  }
+
+  /**
+   * Scope granted by a token
+   * ACCESS_TOKEN grants control too when there is no separate CONTROL_TOKEN
+   * @param {string} token
+   * @returns {Object|null} - { scope, device }, null for an unknown token
+   */
+  checkToken(token) {
+    if (tokenMatches(token, this.controlToken)) {
+      return { scope: 'control', device: null };
+    }
+    if (tokenMatches(token, this.readToken)) {
+      return { scope: this.controlToken ? 'read' : 'control', device: null };
+    }
+    const hash = hashToken(token).toString('hex');
+    const device = this.devices.find(entry => entry.tokenHash === hash);
+    return device ? { scope: device.scope, device } : null;
+  }
+
+  /**
+   * Scope of a request
+   * @param {Object} req - Express request
+   * @returns {Object} - { scope: 'control' | 'read' | null, device, token }
+   */
+  authenticate(req) {
+    if (!this.enabled) {
+      return { scope: 'control', device: null, token: null };
+    }
+
+    const token = AccessControl.getToken(req);
+    const match = token ? this.checkToken(token) : null;
+    if (match) {
+      if (match.device) {
+        this.markSeen(match.device);
+      }
+      return { ...match, token };
+    }
+    if (this.trustLocalhost && AccessControl.isLocal(req)) {
+      return { scope: 'control', device: null, token: null };
+    }
+    // Without ACCESS_TOKEN reading is open to everyone
+    return { scope: this.readToken ? null : 'read', device: null, token: null };
+  }
+
+  /**
+   * Record that a paired device was used
+   * Saved at most once per LAST_SEEN_SAVE_INTERVAL, as every request calls this
+   * @param {Object} device - Stored device record
+   */
+  markSeen(device) {
+    const now = Date.now();
+    const lastSeen = device.lastSeen ? Date.parse(device.lastSeen) : 0;
+    if (now - lastSeen < LAST_SEEN_SAVE_INTERVAL) {
+      return;
+    }
+    device.lastSeen = new Date(now).toISOString();
+    this.save();
+  }
+
+  /**
+   * Middleware: attach the request's scope as req.access
+   * @returns {Function}
+   */
+  identify() {
+    return (req, res, next) => {
+      req.access = this.authenticate(req);
+      next();
+    };
+  }
+
+  /**
+   * Whether a request may come from its Origin
+   * Same-origin requests and requests without an Origin header (navigation,
+   * images, curl) are always allowed
+   * @param {Object} req - Express request
+   * @returns {boolean}
+   */
+  isOriginAllowed(req) {
+    const origin = req.get('Origin');
+    return !AccessControl.isCrossOrigin(req) || this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin);
+  }
+
+  /**
+   * Whether a request comes from another site's page
+   * @param {Object} req - Express request
+   * @returns {boolean} - False without an Origin header
+   */
+  static isCrossOrigin(req) {
+    const origin = req.get('Origin');
+    if (!origin) {
+      return false;
+    }
+    try {
+      return new URL(origin).host !== req.get('Host');
+    } catch (error) {
+      return true; // "null" and other opaque origins
+    }
+  }
+
+  /**
+   * Middleware: reject requests from origins that aren't allowed and send
+   * CORS headers (with credentials) to the ones in ALLOWED_ORIGINS
+   * @returns {Function}
+   */
+  checkOrigin() {
+    return (req, res, next) => {
+      if (!this.isOriginAllowed(req)) {
+        this.stats.originRejected++;
+        return sendError(res, 403, 'ORIGIN_NOT_ALLOWED', `Requests from ${req.get('Origin')} are not allowed. Add it to ALLOWED_ORIGINS to allow it`);
+      }
+
+      res.vary('Origin');
+      if (AccessControl.isCrossOrigin(req)) {
+        res.set({ 'Access-Control-Allow-Origin': req.get('Origin'), 'Access-Control-Allow-Credentials': 'true' });
+        if (req.method === 'OPTIONS') {
+          res.set({
+            'Access-Control-Allow-Methods': 'GET, POST, DELETE',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+            'Access-Control-Max-Age': '600'
+          });
+          return res.status(204).end();
+        }
+      }
+      next();
+    };
+  }
+
+  /**
+   * Middleware: limit each client to a number of requests per minute
+   * Clients are told when to retry with 429 and Retry-After
+   * @param {number} limit - Requests per minute, 0 disables the limit
+   * @returns {Function}
+   */
+  rateLimit(limit) {
+    if (!(limit > 0)) {
+      return (req, res, next) => next();
+    }
+    const limiter = new RateLimiter(limit);
+    return (req, res, next) => {
+      const retryAfter = limiter.take(req.ip);
+      if (retryAfter > 0) {
+        this.stats.rateLimited++;
+        res.set('Retry-After', String(retryAfter));
+        return sendError(res, 429, 'RATE_LIMITED', `Too many requests, retry in ${retryAfter}s`);
+      }
+      next();
+    };
+  }
+
+  /**
+   * Middleware: require a scope for API requests
+   * @param {string} scope - 'read' or 'control'
+   * @returns {Function}
+   */
+  require(scope) {
+    return (req, res, next) => {
+      const granted = req.access.scope;
+      if (granted === 'control' || granted === scope) {
+        return next();
+      }
+      if (!granted) {
+        this.stats.unauthorized++;
+        res.set('WWW-Authenticate', 'Bearer');
+        return sendError(res, 401, 'UNAUTHORIZED', 'Pair this display at /pair or send an access token');
+      }
+      this.stats.forbidden++;
+      return sendError(res, 403, 'FORBIDDEN', `This requires the ${scope} scope; this display only has ${granted} access`);
+    };
+  }
+
+  /**
+   * Middleware: send pages to /pair when the read scope is missing
+   * A valid ?token= is remembered in the cookie, so the page's own API
+   * requests, covers and event stream are authorized too
+   * @returns {Function}
+   */
+  requirePage() {
+    return (req, res, next) => {
+      if (!req.access.scope) {
+        return res.redirect(`/pair?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      if (req.query.token && req.access.token === req.query.token) {
+        this.setCookie(req, res, req.query.token);
+      }
+      next();
+    };
+  }
+
+  /**
+   * Remember a token in the browser
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} token
+   */
+  setCookie(req, res, token) {
+    res.cookie(COOKIE_NAME, token, { httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge: COOKIE_MAX_AGE });
+  }
+
+  /**
+   * Start pairing: create a code unless one is still valid, and show it on the host
+   * @param {string} baseUrl - Server URL the QR code links to
+   * @returns {Promise<Object>} - { expiresAt }
+   */
+  async startPairing(baseUrl) {
+    if (this.pairingCode && this.pairingCode.expiresAt > Date.now()) {
+      return { expiresAt: this.pairingCode.expiresAt };
+    }
+    return this.createPairingCode(baseUrl);
+  }
+
+  /**
+   * Create a new pairing code, replacing the current one, and show it on the host
+   * @param {string} baseUrl - Server URL the QR code links to
+   * @returns {Promise<Object>} - { expiresAt }
+   */
+  async createPairingCode(baseUrl) {
+    if (this.pairingCode) {
+      clearTimeout(this.pairingCode.timer);
+    }
+    const code = crypto.randomInt(0, Math.pow(10, PAIRING_CODE_LENGTH)).toString().padStart(PAIRING_CODE_LENGTH, '0');
+    const expiresAt = Date.now() + PAIRING_CODE_TTL;
+    const timer = setTimeout(() => this.endPairing(), PAIRING_CODE_TTL);
+    timer.unref();
+    const pending = { code, expiresAt, failures: 0, baseUrl, timer };
+    this.pairingCode = pending;
+
+    // The QR code opens the pairing page with the code filled in, for phones and tablets
+    const url = `${baseUrl}/pair?code=${code}`;
+    const terminalQr = await QRCode.toString(url, { type: 'terminal', small: true });
+    console.log(`[Access] A display wants to pair. Enter code ${code} on it, or scan:\n${terminalQr}`);
+
+    const qr = await QRCode.toString(url, { type: 'svg', margin: 1 });
+    pending.prompt = { active: true, code, url, qr, expiresAt };
+    if (this.pairingCode === pending) {
+      this.emit('pairing', pending.prompt);
+    }
+    return { expiresAt };
+  }
+
+  /**
+   * Pairing prompt for the host's displays while a code is valid
+   * @returns {Object|null} - { active, code, url, qr (SVG), expiresAt }
+   */
+  getPairingPrompt() {
+    return this.pairingCode ? this.pairingCode.prompt || null : null;
+  }
+
+  /**
+   * Discard the current pairing code
+   */
+  endPairing() {
+    if (!this.pairingCode) {
+      return;
+    }
+    clearTimeout(this.pairingCode.timer);
+    this.pairingCode = null;
+    this.emit('pairing', { active: false });
+  }
+
+  /**
+   * Pair a display with the code shown on the host
+   * After PAIRING_MAX_FAILURES wrong codes in total the code is replaced by a
+   * new one on the host, so spreading guesses over many clients doesn't help
+   * and the display being paired only has to read the code again
+   * @param {string} code - Code entered on the display
+   * @param {string} name - Device description, e.g. the User-Agent
+   * @returns {Promise<Object|null>} - { token, device }, null for a wrong or expired code
+   */
+  async pair(code, name) {
+    const pending = this.pairingCode;
+    if (!pending || pending.expiresAt <= Date.now()) {
+      return null;
+    }
+    if (!tokenMatches(String(code), pending.code)) {
+      pending.failures++;
+      if (pending.failures === PAIRING_MAX_FAILURES && this.pairingCode === pending) {
+        console.error('[Access] Too many wrong pairing codes, showing a new code');
+        await this.createPairingCode(pending.baseUrl);
+      }
+      return null;
+    }
+    this.endPairing();
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const device = {
+      id: crypto.randomUUID(),
+      name: String(name || 'Unknown device').slice(0, 200),
+      scope: this.pairingScope,
+      tokenHash: hashToken(token).toString('hex'),
+      created: new Date().toISOString(),
+      lastSeen: null
+    };
+    this.devices.push(device);
+    await this.save();
+    console.log(`[Access] Paired ${device.name} with ${device.scope} access`);
+    return { token, device: AccessControl.describeDevice(device) };
+  }
+
+  /**
+   * Revoke a paired device
+   * Emits 'revoked' with the id, so its open event streams can be closed
+   * @param {string} id - Device id
+   * @returns {Promise<boolean>} - False for an unknown id
+   */
+  async revoke(id) {
+    const index = this.devices.findIndex(device => device.id === id);
+    if (index === -1) {
+      return false;
+    }
+    const [device] = this.devices.splice(index, 1);
+    await this.save();
+    console.log(`[Access] Revoked ${device.name}`);
+    this.emit('revoked', device.id);
+    return true;
+  }
+
+  /**
+   * Device without its token hash, for the API
+   * @param {Object} device
+   * @returns {Object} - { id, name, scope, created, lastSeen }
+   */
+  static describeDevice({ id, name, scope, created, lastSeen }) {
+    return { id, name, scope, created, lastSeen };
+  }
+
+  /**
+   * Paired devices
+   * @returns {Object[]}
+   */
+  listDevices() {
+    return this.devices.map(AccessControl.describeDevice);
+  }
+
+  /**
+   * Configuration and counters, for /api/health
+   * @returns {Object} - { enabled, readProtected, controlProtected, pairing, devices, unauthorized, forbidden, originRejected, rateLimited }
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      readProtected: Boolean(this.readToken),
+      controlProtected: this.enabled,
+      pairing: this.pairingEnabled,
+      devices: this.devices.length,
+      ...this.stats
+    };
+  }
+}
+
+AccessControl.SCOPES = SCOPES;
+
+module.exports = AccessControl;
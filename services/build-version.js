@@ -0,0 +1,29 @@
+/**
+ * Build version of the web client
+ *
+ * A short hash of the package version and the files the displays load, so
+ * open displays can tell that the server was updated and reload themselves.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { listFiles } = require('./file-utils');
+
+/**
+ * Compute the build version
+ * @param {string} staticDir - Directory served to the displays
+ * @param {string} packageVersion - Version from package.json
+ * @returns {Promise<string>} - 12 character hex version
+ */
+async function getBuildVersion(staticDir, packageVersion) {
+  const hash = crypto.createHash('sha1').update(packageVersion);
+  const files = (await listFiles(staticDir)).sort();
+  for (const file of files) {
+    hash.update(path.relative(staticDir, file));
+    hash.update(await fs.readFile(file));
+  }
+  return hash.digest('hex').slice(0, 12);
+}
+
+module.exports = { getBuildVersion };
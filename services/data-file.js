@@ -0,0 +1,35 @@
+/**
+ * Reads hand-written data files (simulated playlists, cover fixtures) in
+ * JSON or YAML, picked by the file extension.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const YAML = require('yaml');
+const { artworkDataUri } = require('../providers/artwork');
+
+/**
+ * Read and parse a JSON or YAML file
+ * @param {string} file - Path ending in .json, .yaml or .yml
+ * @returns {Promise<*>} - Parsed content
+ * @throws {Error} - If the file can't be read or parsed
+ */
+async function readDataFile(file) {
+  const text = await fs.readFile(file, 'utf8');
+  return /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+}
+
+/**
+ * Read an image referenced from a data file as a data URI
+ * Relative paths are resolved against the data file's directory
+ * @param {string} dataFile - Path of the file that references the image
+ * @param {string} image - Image path
+ * @returns {Promise<string>} - Data URI
+ */
+async function readImageDataUri(dataFile, image) {
+  const file = path.resolve(path.dirname(dataFile), image);
+  const buffer = await fs.readFile(file);
+  return artworkDataUri(buffer.toString('base64'));
+}
+
+module.exports = { readDataFile, readImageDataUri };
@@ -0,0 +1,93 @@
+/**
+ * EventBus - Playback events for integrations
+ *
+ * Turns the monitor's change events into named integration events and hands
+ * them to every subscriber (webhooks, MQTT):
+ *
+ *   'track.started'    - A track started playing, or playback resumed
+ *   'track.paused'     - Playback was paused (or a new track was loaded paused)
+ *   'playback.stopped' - Nothing is playing, or the provider failed (data.status is 'error')
+ *
+ * Each event is { id, type, time, data }. data is the /api/now payload plus
+ * `colors`, the display's theme colors for lights and dashboards. `cover` is
+ * an absolute URL, since subscribers run on other machines.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const EVENT_TYPES = ['track.started', 'track.paused', 'playback.stopped'];
+
+class EventBus extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - Server URL that relative cover URLs are resolved against
+   */
+  constructor({ baseUrl = '' } = {}) {
+    super();
+    this.baseUrl = baseUrl;
+    this.lastType = null; // Type of the latest event, so repeated states aren't re-sent
+    this.lastEvent = null; // Latest event, e.g. for retained MQTT state
+  }
+
+  /**
+   * Theme colors of the current cover
+   * @param {Object} data - /api/now payload
+   * @returns {Object|null} - { background, text, accent, dominant, vibrant } as hex, null without a palette
+   */
+  static getColors(data) {
+    const palette = data.palette;
+    if (!palette || !palette.theme) {
+      return null;
+    }
+    return {
+      background: palette.theme.background,
+      text: palette.theme.text,
+      accent: palette.theme.accent,
+      dominant: palette.dominant ? palette.dominant.hex : null,
+      vibrant: palette.vibrant ? palette.vibrant.hex : null
+    };
+  }
+
+  /**
+   * Subscribe to a NowPlayingMonitor
+   * @param {NowPlayingMonitor} monitor
+   */
+  attach(monitor) {
+    monitor.on('track-changed', (data) => this.publish(data.status === 'paused' ? 'track.paused' : 'track.started', data, true));
+    monitor.on('playback-changed', (data) => this.publish(data.status === 'paused' ? 'track.paused' : 'track.started', data, false));
+    monitor.on('stopped', (data) => this.publish('playback.stopped', data, true));
+  }
+
+  /**
+   * Emit an event to subscribers
+   * Seeks are reported by the monitor as playback changes but don't change
+   * the state, so they are skipped unless the track itself changed
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - /api/now payload
+   * @param {boolean} changed - True for a new track or a stop, false for pause/resume/seek
+   */
+  publish(type, data, changed) {
+    if (!changed && type === this.lastType) {
+      return;
+    }
+    this.lastType = type;
+
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      time: new Date().toISOString(),
+      data: {
+        ...data,
+        cover: data.cover && data.cover.startsWith('/') ? `${this.baseUrl}${data.cover}` : data.cover,
+        colors: EventBus.getColors(data)
+      }
+    };
+    this.lastEvent = event;
+    this.emit('event', event);
+  }
+}
+
+EventBus.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = EventBus;
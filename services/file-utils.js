@@ -0,0 +1,34 @@
+/**
+ * File system helpers shared by services that index local directories.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * List all files below a directory
+ * @param {string} dir - Directory
+ * @returns {Promise<string[]>} - File paths
+ */
+async function listFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    console.error(`[Files] Could not read ${dir}:`, error.message);
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(fullPath));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+module.exports = { listFiles };
@@ -0,0 +1,177 @@
+/**
+ * HistoryStore - Persistent listening history
+ *
+ * Records every track change detected by the NowPlayingMonitor. Finished
+ * plays are appended to a JSON Lines file (one entry per line) so the file
+ * never needs rewriting; the track currently playing is kept in memory until
+ * it ends. Only the newest MAX_ENTRIES plays are kept; the file is
+ * rewritten without the older ones once it has grown COMPACT_SLACK past that.
+ *
+ * Entry shape:
+ *   { title, artist, album, source, cover, coverSource, startedAt, endedAt }
+ * where source is the player bundle id / name and timestamps are ISO strings.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const MAX_PAGE_SIZE = 100;
+const MAX_ENTRIES = 10000; // Plays kept in memory and on disk
+const COMPACT_SLACK = 1000; // Extra lines allowed in the file before it is rewritten
+
+class HistoryStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Path of the JSON Lines history file
+   */
+  constructor({ file }) {
+    this.file = file;
+    this.entries = []; // Finished plays, oldest first
+    this.current = null; // Play in progress
+    this.fileEntries = 0; // Lines in the history file, including plays already dropped from memory
+  }
+
+  /**
+   * Parse a filter timestamp given as epoch milliseconds or a date string
+   * @param {string|number} value - Timestamp
+   * @returns {number} - Epoch milliseconds (NaN if unparseable)
+   */
+  static parseTime(value) {
+    return /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  }
+
+  /**
+   * Load existing history from disk
+   * Corrupt lines (e.g. from a crash mid-write) are skipped
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[History] Could not read history:', error.message);
+      }
+      return;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.entries.push(JSON.parse(line));
+      } catch (parseError) {
+        console.error('[History] Skipping corrupt line:', line.slice(0, 100));
+      }
+    }
+    this.fileEntries = this.entries.length;
+    this.entries = this.entries.slice(-MAX_ENTRIES);
+    console.log(`[History] Loaded ${this.entries.length} plays`);
+    if (this.fileEntries > MAX_ENTRIES + COMPACT_SLACK) {
+      await this.compact();
+    }
+  }
+
+  /**
+   * Rewrite the history file with only the plays kept in memory
+   */
+  async compact() {
+    const temp = `${this.file}.tmp`;
+    try {
+      await fs.writeFile(temp, this.entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+      await fs.rename(temp, this.file);
+      this.fileEntries = this.entries.length;
+    } catch (error) {
+      console.error('[History] Could not compact history:', error.message);
+    }
+  }
+
+  /**
+   * Record the start of a new track, ending the previous one
+   * @param {Object} data - Track data from getNowPlaying()
+   */
+  async trackStarted(data) {
+    await this.trackEnded();
+
+    this.current = {
+      title: data.title || '',
+      artist: data.artist || '',
+      album: data.album || '',
+      source: data.source || '',
+      // Inline data: URIs can be megabytes - only keep real URLs
+      cover: data.cover && !data.cover.startsWith('data:') ? data.cover : '',
+      coverSource: data.coverSource || '',
+      startedAt: new Date().toISOString(),
+      endedAt: null
+    };
+  }
+
+  /**
+   * End the play in progress (if any) and append it to the history file
+   */
+  async trackEnded() {
+    if (!this.current) {
+      return;
+    }
+
+    const entry = { ...this.current, endedAt: new Date().toISOString() };
+    this.current = null;
+    this.entries.push(entry);
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.shift();
+    }
+
+    try {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.appendFile(this.file, JSON.stringify(entry) + '\n');
+      this.fileEntries++;
+    } catch (error) {
+      console.error('[History] Could not write history:', error.message);
+    }
+    if (this.fileEntries > MAX_ENTRIES + COMPACT_SLACK) {
+      await this.compact();
+    }
+  }
+
+  /**
+   * Query finished plays, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.artist] - Exact artist (case-insensitive)
+   * @param {string} [filters.album] - Exact album (case-insensitive)
+   * @param {string} [filters.source] - Exact player (case-insensitive)
+   * @param {string} [filters.q] - Substring of title, artist or album
+   * @param {string|number} [filters.since] - Only plays started at/after this time
+   * @param {string|number} [filters.until] - Only plays started before this time
+   * @param {number} [filters.limit] - Page size (default: 20, max: 100)
+   * @param {number} [filters.offset] - Entries to skip (default: 0)
+   * @returns {Object} - { total, limit, offset, current, items }
+   */
+  query({ artist, album, source, q, since, until, limit = 20, offset = 0 } = {}) {
+    const equals = (value, expected) => !expected || value.toLowerCase() === expected.toLowerCase();
+    const needle = q ? q.toLowerCase() : '';
+    const sinceTime = since ? HistoryStore.parseTime(since) : -Infinity;
+    const untilTime = until ? HistoryStore.parseTime(until) : Infinity;
+
+    const matches = this.entries.filter((entry) => {
+      const startedAt = Date.parse(entry.startedAt);
+      return equals(entry.artist, artist) &&
+        equals(entry.album, album) &&
+        equals(entry.source, source) &&
+        (!needle || [entry.title, entry.artist, entry.album].some(value => value.toLowerCase().includes(needle))) &&
+        startedAt >= sinceTime &&
+        startedAt < untilTime;
+    }).reverse();
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+    return {
+      total: matches.length,
+      limit: pageSize,
+      offset: start,
+      current: this.current,
+      items: matches.slice(start, start + pageSize)
+    };
+  }
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,256 @@
+/**
+ * LyricsService - Synced and plain lyrics lookup
+ *
+ * Looks up lyrics for a track in:
+ *   1. A local directory of .lrc (synced or plain) and .txt (plain) files
+ *   2. An optional LRCLIB-compatible HTTP provider
+ *
+ * Local files are matched by their [ar:]/[ti:] tags or by an
+ * "Artist - Title.lrc" / "Title.lrc" file name.
+ *
+ * Result shape:
+ *   { found, synced, lines: [{ time, text }], source }
+ * where time is in seconds (null for plain lyrics).
+ */
+
+const axios = require('axios');
+const fs = require('fs/promises');
+const path = require('path');
+const { normalizeText } = require('./text-utils');
+const { listFiles } = require('./file-utils');
+
+const INDEX_TTL = 60 * 1000; // Rescan the lyrics directory at most once a minute
+const CACHE_TTL = 60 * 60 * 1000; // Cache lookups for 1 hour
+const RETRY_DELAY = 60 * 1000; // Ask the provider again this soon after a network error (ms)
+const MAX_CACHE_ENTRIES = 500; // Least recently used lookups are dropped beyond this
+const LYRICS_EXTENSIONS = ['.lrc', '.txt'];
+
+// [mm:ss.xx] or [mm:ss:xx] or [mm:ss] timestamps
+const TIMESTAMP_PATTERN = /\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+// [ar:Artist] style metadata tags
+const TAG_PATTERN = /^\[([a-z]+):(.*)\]$/i;
+// <mm:ss.xx> word timings from enhanced LRC
+const WORD_TIMING_PATTERN = /<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+const NOT_FOUND = { found: false, synced: false, lines: [], source: null };
+
+/**
+ * Parse LRC text into lines
+ * Lines with several timestamps are repeated at each time; text without any
+ * timestamps is returned as plain lyrics.
+ *
+ * @param {string} text - LRC (or plain) lyrics
+ * @returns {Object} - { synced, lines: [{ time, text }], tags }
+ */
+function parseLrc(text) {
+  const tags = {};
+  const synced = [];
+  const plain = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const tag = line.match(TAG_PATTERN);
+    if (tag) {
+      tags[tag[1].toLowerCase()] = tag[2].trim();
+      continue;
+    }
+
+    const times = [];
+    let match;
+    TIMESTAMP_PATTERN.lastIndex = 0;
+    while ((match = TIMESTAMP_PATTERN.exec(line)) !== null) {
+      const fraction = match[3] ? Number(`0.${match[3]}`) : 0;
+      times.push(Number(match[1]) * 60 + Number(match[2]) + fraction);
+    }
+
+    const lyric = line.replace(TIMESTAMP_PATTERN, '').replace(WORD_TIMING_PATTERN, '').trim();
+    if (times.length > 0) {
+      times.forEach(time => synced.push({ time, text: lyric }));
+    } else {
+      plain.push({ time: null, text: lyric });
+    }
+  }
+
+  if (synced.length > 0) {
+    // [offset:+500] shifts all lines earlier by 500ms
+    const offset = (Number(tags.offset) || 0) / 1000;
+    const lines = synced
+      .map(line => ({ time: Math.max(line.time - offset, 0), text: line.text }))
+      .sort((a, b) => a.time - b.time);
+    return { synced: true, lines, tags };
+  }
+
+  // Trim leading/trailing blank lines of plain lyrics
+  while (plain.length && !plain[0].text) plain.shift();
+  while (plain.length && !plain[plain.length - 1].text) plain.pop();
+  return { synced: false, lines: plain, tags };
+}
+
+/**
+ * Build a lookup key from artist and title
+ * @param {string} artist
+ * @param {string} title
+ * @returns {string}
+ */
+function lyricsKey(artist, title) {
+  return `${normalizeText(artist)}|${normalizeText(title)}`;
+}
+
+class LyricsService {
+  /**
+   * @param {Object} options
+   * @param {string} [options.dir] - Local lyrics directory (searched recursively)
+   * @param {string} [options.providerUrl] - Base URL of an LRCLIB-compatible API
+   */
+  constructor({ dir = '', providerUrl = '' } = {}) {
+    this.dir = dir;
+    this.providerUrl = providerUrl.replace(/\/+$/, '');
+
+    this.index = new Map(); // lyricsKey -> file path
+    this.indexedAt = 0;
+    this.cache = new Map(); // cacheKey -> { result, expires }, least recently used first
+  }
+
+  /**
+   * Look up lyrics for a track
+   * Results, including "no lyrics", are cached for CACHE_TTL; a provider
+   * that couldn't be reached is asked again after RETRY_DELAY
+   * @param {Object} track - { title, artist, album, duration }
+   * @returns {Promise<Object>} - { found, synced, lines, source }
+   */
+  async getLyrics({ title, artist, album = '', duration = null }) {
+    if (!title) {
+      return NOT_FOUND;
+    }
+
+    const cacheKey = `${lyricsKey(artist, title)}|${normalizeText(album)}`;
+    const cached = this.cache.get(cacheKey);
+    this.cache.delete(cacheKey);
+    if (cached && Date.now() < cached.expires) {
+      this.cache.set(cacheKey, cached); // Most recently used
+      return cached.result;
+    }
+
+    let ttl = CACHE_TTL;
+    let result = await this.findLocal(artist, title);
+    if (!result && this.providerUrl) {
+      try {
+        result = await this.fetchRemote(artist, title, album, duration);
+      } catch (error) {
+        console.error(`[Lyrics] Could not reach ${this.providerUrl}:`, error.message);
+        ttl = RETRY_DELAY;
+      }
+    }
+    result = result || NOT_FOUND;
+
+    this.cache.set(cacheKey, { result, expires: Date.now() + ttl });
+    if (this.cache.size > MAX_CACHE_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return result;
+  }
+
+  /**
+   * Find lyrics in the local directory
+   * @param {string} artist
+   * @param {string} title
+   * @returns {Promise<Object|null>}
+   */
+  async findLocal(artist, title) {
+    if (!this.dir) {
+      return null;
+    }
+
+    await this.refreshIndex();
+    const file = this.index.get(lyricsKey(artist, title)) || this.index.get(lyricsKey('', title));
+    if (!file) {
+      return null;
+    }
+
+    try {
+      const parsed = parseLrc(await fs.readFile(file, 'utf8'));
+      console.log(`[Lyrics] Using ${path.relative(this.dir, file)} for: ${artist} - ${title}`);
+      return { found: true, synced: parsed.synced, lines: parsed.lines, source: 'local' };
+    } catch (error) {
+      console.error(`[Lyrics] Could not read ${file}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Rebuild the file index if it is older than INDEX_TTL
+   * Files are keyed by their [ar:]/[ti:] tags and by their file name
+   */
+  async refreshIndex() {
+    if (Date.now() - this.indexedAt < INDEX_TTL) {
+      return;
+    }
+    this.indexedAt = Date.now();
+
+    const index = new Map();
+    for (const file of await listFiles(this.dir)) {
+      if (!LYRICS_EXTENSIONS.includes(path.extname(file).toLowerCase())) continue;
+
+      // "Artist - Title.lrc" or "Title.lrc"
+      const name = path.basename(file, path.extname(file));
+      const separator = name.indexOf(' - ');
+      if (separator > 0) {
+        index.set(lyricsKey(name.slice(0, separator), name.slice(separator + 3)), file);
+      } else {
+        index.set(lyricsKey('', name), file);
+      }
+
+      if (path.extname(file).toLowerCase() === '.lrc') {
+        try {
+          const { tags } = parseLrc(await fs.readFile(file, 'utf8'));
+          if (tags.ti) {
+            index.set(lyricsKey(tags.ar || '', tags.ti), file);
+          }
+        } catch (error) {
+          // Unreadable file - the file name key is still usable
+        }
+      }
+    }
+    this.index = index;
+  }
+
+  /**
+   * Fetch lyrics from an LRCLIB-compatible provider
+   * https://lrclib.net/docs
+   * @param {string} artist
+   * @param {string} title
+   * @param {string} album
+   * @param {number|null} duration - Track length in seconds (improves matching)
+   * @returns {Promise<Object|null>} - null if the provider has no lyrics for the track
+   * @throws {Error} - On network errors and other error responses than 404
+   */
+  async fetchRemote(artist, title, album, duration) {
+    const params = { artist_name: artist, track_name: title };
+    if (album) params.album_name = album;
+    if (duration) params.duration = Math.round(duration);
+
+    try {
+      const response = await axios.get(`${this.providerUrl}/api/get`, {
+        params,
+        timeout: 5000,
+        headers: { 'User-Agent': 'album-visualizer (https://github.com/edkf/album-visualizer)' }
+      });
+      const data = response.data;
+
+      const text = data.syncedLyrics || data.plainLyrics;
+      if (!text) {
+        return null;
+      }
+      const parsed = parseLrc(text);
+      console.log(`[Lyrics] Using ${this.providerUrl} for: ${artist} - ${title}`);
+      return { found: true, synced: parsed.synced, lines: parsed.lines, source: 'lrclib' };
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { LyricsService, parseLrc };
@@ -0,0 +1,100 @@
+/**
+ * Prometheus metrics
+ *
+ * Renders the /api/health report in the Prometheus text exposition format
+ * (https://prometheus.io/docs/instrumenting/exposition_formats/) for /metrics.
+ */
+
+const METRIC_PREFIX = 'album_visualizer_';
+
+/**
+ * Escape a label value
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format one metric family
+ * @param {string} name - Metric name without prefix
+ * @param {string} type - counter, gauge or summary
+ * @param {string} help - Description
+ * @param {Object[]} samples - [{ value, labels, suffix }]; suffix is appended to the name (e.g. _sum)
+ * @returns {string[]} - Lines
+ */
+function formatMetric(name, type, help, samples) {
+  const lines = [`# HELP ${METRIC_PREFIX}${name} ${help}`, `# TYPE ${METRIC_PREFIX}${name} ${type}`];
+  for (const { value, labels = {}, suffix = '' } of samples) {
+    const labelText = Object.entries(labels).map(([key, label]) => `${key}="${escapeLabel(label)}"`).join(',');
+    lines.push(`${METRIC_PREFIX}${name}${suffix}${labelText ? `{${labelText}}` : ''} ${Number(value) || 0}`);
+  }
+  return lines;
+}
+
+/**
+ * Render a health report as Prometheus metrics
+ * @param {Object} health - Report from getHealth() in server.js
+ * @returns {string} - Exposition text
+ */
+function formatMetrics(health) {
+  const { provider, covers, cache, access } = health;
+  const rejectReasons = { unauthorized: 'unauthorized', forbidden: 'forbidden', originRejected: 'origin', rateLimited: 'rate_limited' };
+  const lookupResults = ['found', 'notFound', 'errors', 'skipped'];
+  const resultLabels = { found: 'found', notFound: 'not_found', errors: 'error', skipped: 'skipped' };
+
+  const lines = [
+    ...formatMetric('up', 'gauge', 'Whether the now-playing provider answered the latest poll.', [
+      { value: health.status === 'error' ? 0 : 1 }
+    ]),
+    ...formatMetric('uptime_seconds', 'gauge', 'Seconds since the server started.', [
+      { value: health.uptime }
+    ]),
+    ...formatMetric('provider_available', 'gauge', 'Whether a now-playing provider can run on this machine.', provider.available.map(entry => ({
+      value: entry.available ? 1 : 0,
+      labels: { provider: entry.name }
+    }))),
+    ...formatMetric('polls_total', 'counter', 'Polls of the now-playing provider.', [
+      { value: provider.polls }
+    ]),
+    ...formatMetric('poll_errors_total', 'counter', 'Polls that failed or reported a provider error.', [
+      { value: provider.errors }
+    ]),
+    ...formatMetric('last_successful_poll_timestamp_seconds', 'gauge', 'Time of the latest poll without an error.', [
+      { value: provider.lastSuccess ? Date.parse(provider.lastSuccess) / 1000 : 0 }
+    ]),
+    ...formatMetric('cover_lookups_total', 'counter', 'Cover provider lookups by result.', covers.providers.flatMap(entry =>
+      lookupResults.map(result => ({ value: entry[result], labels: { provider: entry.name, result: resultLabels[result] } }))
+    )),
+    ...formatMetric('cover_lookup_duration_seconds', 'summary', 'Time spent in cover provider lookups.', covers.providers.flatMap(entry => [
+      { value: entry.totalTime / 1000, labels: { provider: entry.name }, suffix: '_sum' },
+      { value: entry.lookups, labels: { provider: entry.name }, suffix: '_count' }
+    ])),
+    ...formatMetric('outbound_requests_total', 'counter', 'Requests sent to artwork APIs.', covers.requests.map(entry => ({
+      value: entry.requests,
+      labels: { api: entry.name }
+    }))),
+    ...formatMetric('outbound_request_failures_total', 'counter', 'Artwork API requests that failed after retries.', covers.requests.map(entry => ({
+      value: entry.failures,
+      labels: { api: entry.name }
+    }))),
+    ...formatMetric('outbound_circuit_open', 'gauge', 'Whether an artwork API is being skipped after repeated failures.', covers.requests.map(entry => ({
+      value: entry.state === 'open' || entry.state === 'half-open' ? 1 : 0,
+      labels: { api: entry.name }
+    }))),
+    ...formatMetric('artwork_cache_hits_total', 'counter', 'Artwork cache hits.', [{ value: cache.hits }]),
+    ...formatMetric('artwork_cache_misses_total', 'counter', 'Artwork cache misses.', [{ value: cache.misses }]),
+    ...formatMetric('artwork_cache_entries', 'gauge', 'Lookups and images in the artwork cache.', [{ value: cache.entries }]),
+    ...formatMetric('artwork_cache_bytes', 'gauge', 'Size of the cached images.', [{ value: cache.bytes }]),
+    ...formatMetric('event_stream_clients', 'gauge', 'Displays connected to /api/events.', [{ value: health.clients }]),
+    ...formatMetric('paired_devices', 'gauge', 'Displays paired with a code.', [{ value: access.devices }]),
+    ...formatMetric('rejected_requests_total', 'counter', 'Requests rejected by access control by reason.', Object.keys(rejectReasons).map(reason => ({
+      value: access[reason],
+      labels: { reason: rejectReasons[reason] }
+    })))
+  ];
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { formatMetrics };
@@ -0,0 +1,134 @@
+/**
+ * MqttPublisher - Publishes EventBus events to an MQTT broker
+ *
+ * Topics (below MQTT_TOPIC, default "album-visualizer"):
+ *
+ *   <topic>/state        - Latest event, retained, so subscribers that connect
+ *                          later (e.g. Home Assistant after a restart) get the
+ *                          current state right away
+ *   <topic>/event        - Every event as it happens (not retained)
+ *   <topic>/availability - "online" / "offline" (retained, offline is the
+ *                          broker's last will when the server disappears)
+ *
+ * The client reconnects on its own; events published while disconnected are
+ * queued by the mqtt library.
+ */
+
+const mqtt = require('mqtt');
+
+const RECONNECT_PERIOD = 5000; // Delay between reconnection attempts (ms)
+
+class MqttPublisher {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Broker URL, e.g. mqtt://localhost:1883 (credentials may be included)
+   * @param {string} options.topic - Topic prefix
+   * @param {string} [options.username]
+   * @param {string} [options.password]
+   */
+  constructor({ url, topic, username, password }) {
+    this.url = url;
+    this.topic = topic.replace(/\/+$/, '');
+    this.username = username;
+    this.password = password;
+    this.client = null;
+    this.bus = null;
+    this.connected = false;
+    this.published = 0;
+  }
+
+  /**
+   * Connect to the broker
+   */
+  start() {
+    const availability = `${this.topic}/availability`;
+    try {
+      this.client = mqtt.connect(this.url, {
+        username: this.username || undefined,
+        password: this.password || undefined,
+        reconnectPeriod: RECONNECT_PERIOD,
+        will: { topic: availability, payload: 'offline', qos: 1, retain: true }
+      });
+    } catch (error) {
+      // e.g. a malformed MQTT_URL - publishing stays off, the server keeps running
+      console.error(`[MQTT] Could not connect to ${this.describeBroker()}:`, error.message);
+      return;
+    }
+
+    this.client.on('connect', () => {
+      this.connected = true;
+      console.log(`[MQTT] Connected to ${this.describeBroker()}, publishing to ${this.topic}/#`);
+      this.client.publish(availability, 'online', { qos: 1, retain: true });
+      // Restore the retained state in case the broker lost it while we were away
+      if (this.bus && this.bus.lastEvent) {
+        this.client.publish(`${this.topic}/state`, JSON.stringify(this.bus.lastEvent), { qos: 1, retain: true });
+      }
+    });
+    this.client.on('close', () => {
+      if (this.connected) {
+        console.error(`[MQTT] Disconnected from ${this.describeBroker()}, reconnecting`);
+      }
+      this.connected = false;
+    });
+    this.client.on('error', (error) => {
+      console.error('[MQTT] Error:', error.message);
+    });
+  }
+
+  /**
+   * Publish offline and disconnect
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.client) {
+      return;
+    }
+    if (this.connected) {
+      await this.client.publishAsync(`${this.topic}/availability`, 'offline', { qos: 1, retain: true });
+    }
+    this.connected = false;
+    await this.client.endAsync();
+    this.client = null;
+  }
+
+  /**
+   * Broker URL without credentials, for logs
+   * @returns {string}
+   */
+  describeBroker() {
+    return this.url.replace(/\/\/[^@/]*@/, '//');
+  }
+
+  /**
+   * Subscribe to an EventBus
+   * @param {EventBus} bus
+   */
+  attach(bus) {
+    this.bus = bus;
+    bus.on('event', (event) => this.publish(event));
+  }
+
+  /**
+   * Publish an event and retain it as the current state
+   * @param {Object} event - EventBus event
+   */
+  publish(event) {
+    if (!this.client) {
+      return;
+    }
+    const payload = JSON.stringify(event);
+    this.client.publish(`${this.topic}/event`, payload, { qos: 1 });
+    this.client.publish(`${this.topic}/state`, payload, { qos: 1, retain: true });
+    this.published++;
+  }
+
+  /**
+   * Connection status
+   * @returns {Object} - { broker, topic, connected, published }
+   */
+  getStatus() {
+    return { broker: this.describeBroker(), topic: this.topic, connected: this.connected, published: this.published };
+  }
+}
+
+module.exports = MqttPublisher;
@@ -0,0 +1,172 @@
+/**
+ * NowPlayingMonitor - Single server-side poller for the now-playing state
+ *
+ * Polls the player once per interval (instead of once per open display),
+ * detects track changes and emits events that streaming clients and other
+ * server features can subscribe to.
+ *
+ * Events:
+ *   'track-changed' (data) - A different track started playing
+ *   'playback-changed' (data) - Same track, but it was paused/resumed or seeked
+ *   'stopped'       (data) - Playback stopped or the provider failed (data.status is 'stopped' or 'error')
+ *   'update'        (data) - Emitted after every poll with the latest data
+ */
+
+const EventEmitter = require('events');
+
+// Position drift (seconds) beyond which we assume the user seeked
+const SEEK_THRESHOLD = 2;
+
+class NowPlayingMonitor extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.poll - Async function returning the /api/now payload
+   * @param {number} [options.interval] - Poll interval in milliseconds (default: 2000)
+   */
+  constructor({ poll, interval = 2000 }) {
+    super();
+    this.setMaxListeners(0); // One listener pair per connected display
+    this.poll = poll;
+    this.interval = interval;
+    this.timer = null;
+    this.pending = null; // In-flight poll, shared so slow players don't get overlapping polls
+
+    this.current = null; // Latest payload
+    this.currentTrackKey = null; // Key of the latest payload, used to detect changes
+    this.lastPollTime = 0; // Timestamp of the latest completed poll
+
+    // Diagnostics (see /api/health)
+    this.polls = 0; // Completed polls
+    this.errors = 0; // Polls that failed or reported a provider error
+    this.lastSuccessTime = 0; // Timestamp of the latest poll without an error
+    this.lastError = null; // Latest error { code, message, provider, time }
+    this.lastPollDuration = null; // How long the latest poll took (ms)
+  }
+
+  /**
+   * Generate a unique key for a track based on its metadata
+   * Mirrors StateCache.getTrackKey on the client
+   * @param {Object} data - Track data
+   * @returns {string} - Unique track key
+   */
+  static getTrackKey(data) {
+    if (data.status !== 'playing' && data.status !== 'paused') {
+      return data.status;
+    }
+    return `${data.title || ''}|${data.artist || ''}|${data.album || ''}`.toLowerCase();
+  }
+
+  /**
+   * Event name for a payload
+   * @param {Object} data - Track data
+   * @returns {string} - 'track-changed' or 'stopped'
+   */
+  static getEventName(data) {
+    return data.status === 'playing' || data.status === 'paused' ? 'track-changed' : 'stopped';
+  }
+
+  /**
+   * Estimate the playback position at a point in time
+   * @param {Object} data - Track data with elapsedTime, playbackRate and timestamp
+   * @param {number} at - Epoch time in milliseconds
+   * @returns {number|null} - Position in seconds, or null if unknown
+   */
+  static getPositionAt(data, at) {
+    if (typeof data.elapsedTime !== 'number') {
+      return null;
+    }
+    const rate = data.status === 'playing' ? (data.playbackRate || 0) : 0;
+    return data.elapsedTime + ((at - data.timestamp) / 1000) * rate;
+  }
+
+  /**
+   * Check whether the play state or position of the same track changed
+   * beyond normal playback (pause/resume, rate change or seek)
+   * @param {Object} previous - Previous track data
+   * @param {Object} data - New track data
+   * @returns {boolean} - True if clients need to resync their progress
+   */
+  static hasPlaybackChanged(previous, data) {
+    if (previous.status !== data.status || previous.playbackRate !== data.playbackRate) {
+      return true;
+    }
+    const expected = NowPlayingMonitor.getPositionAt(previous, data.timestamp);
+    const actual = NowPlayingMonitor.getPositionAt(data, data.timestamp);
+    if (expected === null || actual === null) {
+      return expected !== actual;
+    }
+    return Math.abs(expected - actual) > SEEK_THRESHOLD;
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.interval);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Poll once and emit events if the track changed
+   * Calls made while a poll is in flight share its result
+   * @returns {Promise<Object|null>} - Latest payload
+   */
+  tick() {
+    if (!this.pending) {
+      this.pending = this.update().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Run a poll and emit events
+   * @returns {Promise<Object|null>} - Latest payload
+   */
+  async update() {
+    const start = Date.now();
+    try {
+      const data = await this.poll();
+      const previous = this.current;
+      this.lastPollTime = Date.now();
+      this.lastPollDuration = this.lastPollTime - start;
+      this.current = data;
+      this.polls++;
+      if (data.status === 'error') {
+        this.errors++;
+        this.lastError = { ...data.error, time: this.lastPollTime };
+      } else {
+        this.lastSuccessTime = this.lastPollTime;
+      }
+
+      const newTrackKey = NowPlayingMonitor.getTrackKey(data);
+      if (newTrackKey !== this.currentTrackKey) {
+        this.currentTrackKey = newTrackKey;
+        this.emit(NowPlayingMonitor.getEventName(data), data);
+      } else if (previous && data.status !== 'stopped' && data.status !== 'error' &&
+                 NowPlayingMonitor.hasPlaybackChanged(previous, data)) {
+        this.emit('playback-changed', data);
+      }
+      this.emit('update', data);
+    } catch (error) {
+      console.error('[Monitor] Poll failed:', error);
+      this.errors++;
+      this.lastError = { code: 'INTERNAL', message: error.message, provider: null, time: Date.now() };
+    }
+    return this.current;
+  }
+}
+
+module.exports = NowPlayingMonitor;
@@ -0,0 +1,377 @@
+/**
+ * Scrobbler - Last.fm now-playing updates and scrobbling
+ *
+ * Follows the Last.fm scrobbling rules: `track.updateNowPlaying` is sent when
+ * a track starts, and `track.scrobble` once the track (longer than 30 seconds)
+ * has been played for half its duration or 4 minutes, whichever comes first.
+ *
+ * Scrobbles that cannot be delivered (offline, Last.fm unavailable) are kept
+ * in a queue persisted to disk and retried periodically.
+ *
+ * Authentication uses the web auth flow: the user is sent to Last.fm, which
+ * redirects back with a token that is exchanged for a session key. The
+ * session key is stored on disk and reused across restarts.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const LASTFM_AUTH_URL = 'https://www.last.fm/api/auth/';
+
+const MIN_TRACK_LENGTH = 30; // Tracks shorter than this (seconds) are never scrobbled
+const MAX_SCROBBLE_DELAY = 240; // Scrobble after 4 minutes at most (seconds)
+const BATCH_SIZE = 50; // Maximum scrobbles per track.scrobble request
+const RETRY_INTERVAL = 60 * 1000; // How often queued scrobbles are retried (ms)
+
+// Last.fm error codes worth retrying later
+// 9: Invalid session key (kept until re-authenticated), 11: Service offline,
+// 16: Temporarily unavailable, 29: Rate limit exceeded
+const INVALID_SESSION_ERROR = 9;
+const RETRYABLE_ERRORS = [INVALID_SESSION_ERROR, 11, 16, 29];
+
+class Scrobbler {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Last.fm API key
+   * @param {string} options.apiSecret - Last.fm shared secret (for signing)
+   * @param {string} options.endpoint - Last.fm API endpoint
+   * @param {string} options.dataDir - Directory for the session and queue files
+   * @param {string} [options.sessionKey] - Session key from config, skips the auth flow
+   */
+  constructor({ apiKey, apiSecret, endpoint, dataDir, sessionKey = '' }) {
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+    this.endpoint = endpoint;
+    this.sessionFile = path.join(dataDir, 'lastfm-session.json');
+    this.queueFile = path.join(dataDir, 'scrobble-queue.json');
+
+    this.session = sessionKey ? { key: sessionKey, name: null } : null;
+    this.queue = []; // Scrobbles waiting to be delivered
+    this.retryTimer = null;
+    this.flushing = false;
+
+    // Play in progress
+    this.current = null; // { track, startedAt, playedTime, scrobbled }
+    this.lastUpdate = null; // Previous monitor update, used to accumulate played time
+  }
+
+  /**
+   * Load the stored session and retry queue, then start retrying
+   */
+  async start() {
+    if (!this.session) {
+      this.session = await readJson(this.sessionFile, null);
+    }
+    this.queue = await readJson(this.queueFile, []);
+
+    if (this.queue.length > 0) {
+      console.log(`[Scrobbler] ${this.queue.length} scrobbles queued`);
+    }
+    if (!this.session) {
+      console.log('[Scrobbler] Not authenticated - open /api/lastfm/auth to connect Last.fm');
+    }
+
+    this.retryTimer = setInterval(() => this.flush(), RETRY_INTERVAL);
+  }
+
+  /**
+   * Stop retrying
+   */
+  stop() {
+    clearInterval(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  /**
+   * Subscribe to a NowPlayingMonitor
+   * @param {NowPlayingMonitor} monitor
+   */
+  attach(monitor) {
+    monitor.on('track-changed', (data) => this.trackStarted(data));
+    monitor.on('stopped', () => this.trackStopped());
+    monitor.on('update', (data) => this.progress(data));
+  }
+
+  /**
+   * Start tracking a new play and send track.updateNowPlaying
+   * @param {Object} data - Track data from getNowPlaying()
+   */
+  trackStarted(data) {
+    this.current = {
+      track: { artist: data.artist, track: data.title, album: data.album, duration: data.duration },
+      startedAt: Math.floor(Date.now() / 1000),
+      playedTime: 0,
+      scrobbled: false
+    };
+    this.lastUpdate = null;
+
+    if (this.session && data.artist && data.title) {
+      this.updateNowPlaying(this.current.track);
+    }
+  }
+
+  /**
+   * Forget the play in progress
+   */
+  trackStopped() {
+    this.current = null;
+    this.lastUpdate = null;
+  }
+
+  /**
+   * Accumulate played time and scrobble once the threshold is reached
+   * Only time spent in the playing state counts, so pauses don't trigger scrobbles
+   * @param {Object} data - Track data from getNowPlaying()
+   */
+  progress(data) {
+    const now = Date.now();
+    if (this.current && this.lastUpdate && this.lastUpdate.status === 'playing') {
+      this.current.playedTime += (now - this.lastUpdate.time) / 1000;
+    }
+    this.lastUpdate = { status: data.status, time: now };
+
+    if (!this.current || this.current.scrobbled) {
+      return;
+    }
+
+    const { track, playedTime } = this.current;
+    if (!track.artist || !track.track || !track.duration || track.duration <= MIN_TRACK_LENGTH) {
+      return;
+    }
+
+    if (playedTime >= Math.min(track.duration / 2, MAX_SCROBBLE_DELAY)) {
+      this.current.scrobbled = true;
+      this.enqueue({ ...track, timestamp: this.current.startedAt });
+    }
+  }
+
+  /**
+   * Add a scrobble to the queue and try to deliver it
+   * @param {Object} scrobble - { artist, track, album, duration, timestamp }
+   */
+  async enqueue(scrobble) {
+    this.queue.push(scrobble);
+    await this.saveQueue();
+    await this.flush();
+  }
+
+  /**
+   * Deliver queued scrobbles in batches
+   * Stops at the first retryable failure and leaves the rest queued
+   */
+  async flush() {
+    if (this.flushing || !this.session || this.queue.length === 0) {
+      return;
+    }
+    this.flushing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const batch = this.queue.slice(0, BATCH_SIZE);
+        const params = { method: 'track.scrobble' };
+        batch.forEach((scrobble, i) => {
+          params[`artist[${i}]`] = scrobble.artist;
+          params[`track[${i}]`] = scrobble.track;
+          params[`timestamp[${i}]`] = scrobble.timestamp;
+          if (scrobble.album) params[`album[${i}]`] = scrobble.album;
+          if (scrobble.duration) params[`duration[${i}]`] = Math.round(scrobble.duration);
+        });
+
+        try {
+          await this.call(params);
+          console.log(`[Scrobbler] Scrobbled ${batch.length} track(s)`);
+        } catch (error) {
+          if (isRetryable(error)) {
+            console.log(`[Scrobbler] Scrobble failed, will retry: ${error.message}`);
+            break;
+          }
+          // Rejected by Last.fm (e.g. bad metadata) - retrying won't help
+          console.error(`[Scrobbler] Dropping ${batch.length} scrobble(s): ${error.message}`);
+        }
+
+        this.queue.splice(0, batch.length);
+        await this.saveQueue();
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  /**
+   * Send track.updateNowPlaying (best effort, never queued)
+   * @param {Object} track - { artist, track, album, duration }
+   */
+  async updateNowPlaying(track) {
+    const params = { method: 'track.updateNowPlaying', artist: track.artist, track: track.track };
+    if (track.album) params.album = track.album;
+    if (track.duration) params.duration = Math.round(track.duration);
+
+    try {
+      await this.call(params);
+      console.log(`[Scrobbler] Now playing: ${track.artist} - ${track.track}`);
+    } catch (error) {
+      console.error(`[Scrobbler] updateNowPlaying failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * URL to send the user to for authorizing this app
+   * @param {string} callbackUrl - URL Last.fm redirects back to with a token
+   * @returns {string}
+   */
+  getAuthUrl(callbackUrl) {
+    return `${LASTFM_AUTH_URL}?api_key=${encodeURIComponent(this.apiKey)}&cb=${encodeURIComponent(callbackUrl)}`;
+  }
+
+  /**
+   * Exchange an auth token for a session key and store it
+   * @param {string} token - Token from the Last.fm auth redirect
+   * @returns {Promise<Object>} - { key, name }
+   */
+  async authenticate(token) {
+    const data = await this.call({ method: 'auth.getSession', token }, { authenticated: false });
+    this.session = { key: data.session.key, name: data.session.name };
+
+    await fs.mkdir(path.dirname(this.sessionFile), { recursive: true });
+    await fs.writeFile(this.sessionFile, JSON.stringify(this.session));
+    console.log(`[Scrobbler] Authenticated as ${this.session.name}`);
+
+    // Deliver anything queued while we weren't authenticated
+    this.flush();
+    return this.session;
+  }
+
+  /**
+   * Status for the API
+   * @returns {Object} - { authenticated, user, queued, current }
+   */
+  getStatus() {
+    return {
+      authenticated: Boolean(this.session),
+      user: this.session ? this.session.name : null,
+      queued: this.queue.length,
+      current: this.current && {
+        ...this.current.track,
+        playedTime: Math.round(this.current.playedTime),
+        scrobbled: this.current.scrobbled
+      }
+    };
+  }
+
+  /**
+   * Make a signed POST request to the Last.fm API
+   * @param {Object} params - Method and its parameters
+   * @param {Object} [options]
+   * @param {boolean} [options.authenticated] - Include the session key (default: true)
+   * @returns {Promise<Object>} - Response data
+   * @throws {Error} - With `lastfmCode` set for Last.fm API errors
+   */
+  async call(params, { authenticated = true } = {}) {
+    const body = { ...params, api_key: this.apiKey };
+    if (authenticated) {
+      body.sk = this.session.key;
+    }
+    body.api_sig = this.sign(body);
+    body.format = 'json';
+
+    let data;
+    try {
+      const response = await axios.post(this.endpoint, new URLSearchParams(body).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 5000
+      });
+      data = response.data;
+    } catch (error) {
+      // Last.fm reports API errors with an HTTP error status and a JSON body
+      data = error.response && error.response.data;
+      if (!data || !data.error) {
+        throw error;
+      }
+    }
+
+    if (data.error) {
+      if (data.error === INVALID_SESSION_ERROR) {
+        console.error('[Scrobbler] Session key rejected - open /api/lastfm/auth to reconnect');
+        await this.clearSession();
+      }
+      const error = new Error(data.message || `Last.fm error ${data.error}`);
+      error.lastfmCode = data.error;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Forget a rejected session, on disk too, so a restart doesn't load it again
+   * (a LASTFM_SESSION_KEY from the config is used again after a restart)
+   */
+  async clearSession() {
+    this.session = null;
+    try {
+      await fs.unlink(this.sessionFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[Scrobbler] Could not remove the stored session:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Compute the api_sig for a request
+   * md5 of all parameters (except format/callback) sorted by name as
+   * name+value pairs, followed by the shared secret
+   * @param {Object} params - Request parameters
+   * @returns {string} - Hex md5 signature
+   */
+  sign(params) {
+    const payload = Object.keys(params)
+      .filter(key => key !== 'format' && key !== 'callback')
+      .sort()
+      .map(key => `${key}${params[key]}`)
+      .join('');
+    return crypto.createHash('md5').update(payload + this.apiSecret, 'utf8').digest('hex');
+  }
+
+  /**
+   * Persist the retry queue
+   */
+  async saveQueue() {
+    try {
+      await fs.mkdir(path.dirname(this.queueFile), { recursive: true });
+      await fs.writeFile(this.queueFile, JSON.stringify(this.queue));
+    } catch (error) {
+      console.error('[Scrobbler] Could not save queue:', error.message);
+    }
+  }
+}
+
+/**
+ * Check whether a failed request should be retried later
+ * Network errors, 5xx responses and Last.fm's "try again" codes are retryable
+ * @param {Error} error - Error from Scrobbler.call
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error.lastfmCode) {
+    return RETRYABLE_ERRORS.includes(error.lastfmCode);
+  }
+  return !error.response || error.response.status >= 500;
+}
+
+/**
+ * Read a JSON file, returning a fallback if it doesn't exist or is corrupt
+ * @param {string} file - File path
+ * @param {*} fallback - Value returned on failure
+ * @returns {Promise<*>}
+ */
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    return fallback;
+  }
+}
+
+module.exports = Scrobbler;
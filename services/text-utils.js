@@ -0,0 +1,25 @@
+/**
+ * Text helpers for matching track metadata from different sources.
+ */
+
+/**
+ * Normalize a title/artist/album for comparison
+ * Lowercases, strips diacritics, bracketed suffixes such as "(feat. X)" or
+ * "[Remastered 2011]", " - Remastered" style suffixes and punctuation.
+ *
+ * @param {string} value - Raw text
+ * @returns {string} - Normalized text
+ */
+function normalizeText(value) {
+  return (value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Combining diacritical marks
+    .toLowerCase()
+    .replace(/\s*[([][^)\]]*[)\]]/g, '') // (feat. X), [Live], (2011 Remaster)
+    .replace(/\s+-\s+.*(remaster|version|edit|live|mono|stereo|mix).*$/, '') // " - Remastered 2011"
+    .replace(/&/g, 'and')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+module.exports = { normalizeText };
@@ -0,0 +1,144 @@
+/**
+ * Webhooks - Delivers EventBus events to HTTP endpoints
+ *
+ * Every event is POSTed as JSON to each configured URL. With a secret, the
+ * body is signed with HMAC-SHA256 and sent as
+ * `X-Signature-256: sha256=<hex>`, so receivers can verify it came from this
+ * server. Failed deliveries (network errors, 408, 429 and 5xx) are retried
+ * with exponential backoff; other 4xx responses are not retried.
+ *
+ * Each URL has its own queue, so events arrive in order and a slow endpoint
+ * doesn't hold up the others. Only the newest events are kept while an
+ * endpoint is down.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const DELIVERY_TIMEOUT = 5000; // Per request (ms)
+const MAX_ATTEMPTS = 5; // Including the first delivery
+const RETRY_BASE_DELAY = 1000; // Doubled after every failed attempt (ms)
+const MAX_QUEUE_LENGTH = 20; // Events kept per URL while it is failing; the oldest are dropped
+const USER_AGENT = 'album-visualizer-webhooks/1.0';
+
+/**
+ * Sign a request body
+ * @param {string} secret - Shared secret
+ * @param {string} body - JSON body
+ * @returns {string} - "sha256=<hex>"
+ */
+function sign(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms
+ * @returns {Promise}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.urls - Endpoints receiving every event
+   * @param {string} [options.secret] - HMAC secret; unsigned when empty
+   */
+  constructor({ urls, secret = '' }) {
+    this.urls = urls;
+    this.secret = secret;
+    this.queues = new Map(urls.map(url => [url, { events: [], running: false }]));
+    this.stats = { delivered: 0, failed: 0, retries: 0, dropped: 0 };
+  }
+
+  /**
+   * Subscribe to an EventBus
+   * @param {EventBus} bus
+   */
+  attach(bus) {
+    bus.on('event', (event) => this.deliver(event));
+  }
+
+  /**
+   * Queue an event for every URL
+   * @param {Object} event - EventBus event
+   */
+  deliver(event) {
+    for (const [url, queue] of this.queues) {
+      queue.events.push(event);
+      if (queue.events.length > MAX_QUEUE_LENGTH) {
+        queue.events.shift();
+        this.stats.dropped++;
+      }
+      if (!queue.running) {
+        this.drain(url, queue);
+      }
+    }
+  }
+
+  /**
+   * Deliver queued events to one URL in order
+   * @param {string} url
+   * @param {Object} queue - { events, running }
+   */
+  async drain(url, queue) {
+    queue.running = true;
+    while (queue.events.length > 0) {
+      const event = queue.events.shift();
+      await this.send(url, event);
+    }
+    queue.running = false;
+  }
+
+  /**
+   * POST one event, retrying transient failures
+   * @param {string} url
+   * @param {Object} event - EventBus event
+   * @returns {Promise<boolean>} - True if delivered
+   */
+  async send(url, event) {
+    const body = JSON.stringify(event);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': USER_AGENT,
+      'X-Event-Type': event.type,
+      'X-Event-Id': event.id
+    };
+    if (this.secret) {
+      headers['X-Signature-256'] = sign(this.secret, body);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await axios.post(url, body, { headers, timeout: DELIVERY_TIMEOUT });
+        this.stats.delivered++;
+        return true;
+      } catch (error) {
+        const status = error.response && error.response.status;
+        const retryable = !status || status === 408 || status === 429 || status >= 500;
+        if (!retryable || attempt >= MAX_ATTEMPTS) {
+          this.stats.failed++;
+          console.error(`[Webhooks] Could not deliver ${event.type} to ${url}:`, error.message);
+          return false;
+        }
+
+        const backoff = RETRY_BASE_DELAY * Math.pow(2, attempt - 1);
+        this.stats.retries++;
+        await sleep(backoff / 2 + Math.random() * (backoff / 2));
+      }
+    }
+  }
+
+  /**
+   * Delivery counters
+   * @returns {Object} - { urls, delivered, failed, retries, dropped, pending }
+   */
+  getStatus() {
+    const pending = Array.from(this.queues.values()).reduce((sum, queue) => sum + queue.events.length, 0);
+    return { urls: this.urls.length, ...this.stats, pending };
+  }
+}
+
+module.exports = WebhookDispatcher;
@@ -20,7 +20,13 @@ class StateCache {
     this.currentArtist = null; // Current artist name
     this.currentAlbum = null; // Current album name
     this.currentSource = null; // Current player/source info
-    this.currentStatus = null; // Current playback status ('playing' or 'stopped')
+    this.currentStatus = null; // Current playback status ('playing', 'paused' or 'stopped')
+    
+    // Playback position - advanced locally between updates
+    this.elapsedTime = null; // Position in seconds at positionTimestamp
+    this.duration = null; // Track length in seconds
+    this.playbackRate = 0; // Playback speed (0 when paused)
+    this.positionTimestamp = 0; // When the update arrived, on the page's monotonic clock (performance.now(), ms)
     
     // Color extraction cache
     this.lastExtractedCoverUrl = null; // Last cover URL we extracted colors from
@@ -33,7 +39,7 @@ class StateCache {
    * @returns {string} - Unique track key
    */
   getTrackKey(data) {
-    if (data.status !== "playing") {
+    if (data.status !== "playing" && data.status !== "paused") {
       return "stopped";
     }
     return `${data.title || ""}|${data.artist || ""}|${data.album || ""}`.toLowerCase();
@@ -73,4 +79,39 @@ class StateCache {
   updateTrackKey(newTrackKey) {
     this.currentTrackKey = newTrackKey;
   }
+
+  /**
+   * Store the playback position reported by the API
+   * The position is advanced to when the server sent it (serverTime, same
+   * clock as timestamp), then counted on from arrival with performance.now(),
+   * so the display's own clock never has to agree with the server's
+   * @param {Object} data - Track data from API
+   */
+  updatePlayback(data) {
+    this.currentStatus = data.status;
+    this.duration = typeof data.duration === "number" ? data.duration : null;
+    this.playbackRate = data.status === "playing" ? (data.playbackRate || 0) : 0;
+    this.positionTimestamp = performance.now();
+    this.elapsedTime = null;
+    if (typeof data.elapsedTime === "number") {
+      // Older servers don't send serverTime; the page's clock is the best guess then
+      const sentAt = data.serverTime || Date.now();
+      const age = data.timestamp ? Math.max(0, sentAt - data.timestamp) : 0;
+      this.elapsedTime = data.elapsedTime + (age / 1000) * this.playbackRate;
+    }
+  }
+
+  /**
+   * Estimate the current playback position
+   * Advances the last reported position by the time passed since it was measured
+   * @returns {number|null} - Position in seconds, clamped to the duration, or null if unknown
+   */
+  getElapsedTime() {
+    if (this.elapsedTime === null) {
+      return null;
+    }
+    const elapsed = this.elapsedTime + ((performance.now() - this.positionTimestamp) / 1000) * this.playbackRate;
+    const max = this.duration !== null ? this.duration : Infinity;
+    return Math.min(Math.max(elapsed, 0), max);
+  }
 }
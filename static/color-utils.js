@@ -42,6 +42,7 @@ class ColorExtractor {
   // Get dominant colors from pixel data
   getDominantColors(pixels, numColors) {
     const colorMap = new Map();
+    const extremesMap = new Map(); // Very dark or light colors, used when there is nothing else
     
     // Sample pixels (every 4th pixel for performance)
     for (let i = 0; i < pixels.length; i += 16) {
@@ -53,9 +54,9 @@ class ColorExtractor {
       // Skip transparent pixels
       if (a < 128) continue;
       
-      // Skip very dark or very light colors
+      // Set aside very dark or very light colors
       const brightness = (r + g + b) / 3;
-      if (brightness < 30 || brightness > 225) continue;
+      const map = brightness < 30 || brightness > 225 ? extremesMap : colorMap;
       
       // Quantize colors to reduce noise
       const quantizedR = Math.round(r / 10) * 10;
@@ -63,15 +64,18 @@ class ColorExtractor {
       const quantizedB = Math.round(b / 10) * 10;
       
       const colorKey = `${quantizedR},${quantizedG},${quantizedB}`;
-      colorMap.set(colorKey, (colorMap.get(colorKey) || 0) + 1);
+      map.set(colorKey, (map.get(colorKey) || 0) + 1);
     }
     
+    // Black-and-white covers only have extremes - use them rather than no colors at all
+    const counts = colorMap.size > 0 ? colorMap : extremesMap;
+    
     // Sort by frequency and get top colors
-    const sortedColors = Array.from(colorMap.entries())
+    const sortedColors = Array.from(counts.entries())
       .sort((a, b) => b[1] - a[1])
       .slice(0, numColors)
       .map(([colorKey]) => {
-        const [r, g, b] = colorKey.split(',').map(Number);
+        const [r, g, b] = colorKey.split(',').map(Number).map((value) => Math.min(255, value));
         return { r, g, b, hex: this.rgbToHex(r, g, b) };
       });
     
@@ -83,11 +87,21 @@ class ColorExtractor {
     return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
   }
 
-  // Get accessible text color (black or white) for a background color
+  // WCAG relative luminance of a color (0 = black, 1 = white)
+  getRelativeLuminance(color) {
+    const [r, g, b] = [color.r, color.g, color.b].map((channel) => {
+      const c = channel / 255;
+      return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  // Get accessible text color (black or white), whichever has the higher WCAG contrast ratio
   getAccessibleTextColor(backgroundColor) {
-    const { r, g, b } = backgroundColor;
-    const brightness = (r * 299 + g * 587 + b * 114) / 1000;
-    return brightness > 128 ? '#000000' : '#ffffff';
+    const luminance = this.getRelativeLuminance(backgroundColor);
+    const contrastWithWhite = 1.05 / (luminance + 0.05);
+    const contrastWithBlack = (luminance + 0.05) / 0.05;
+    return contrastWithBlack > contrastWithWhite ? '#000000' : '#ffffff';
   }
 
   // Darken a color by a percentage
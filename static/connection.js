@@ -0,0 +1,299 @@
+/**
+ * NowPlayingConnection - Receives track data from the server
+ *
+ * Subscribes to the server's event stream and falls back to polling the
+ * API when streaming is unavailable. Shared by the main display and the
+ * streaming overlay.
+ *
+ * Dropped connections are retried with exponential backoff and jitter, so
+ * displays don't all reconnect at once when the server restarts. While the
+ * server is unreachable a status badge is shown, and once the last update is
+ * older than STALE_AFTER the page gets the "stale" class. When the server
+ * comes back with a new build version the page reloads itself. Displays
+ * without access to a protected server are sent to the pairing page.
+ */
+const POLL_INTERVAL = 2000; // Polling interval used when the event stream is unavailable
+const RECONNECT_BASE_DELAY = 1000; // First retry delay, doubled after every failure (ms)
+const RECONNECT_MAX_DELAY = 30000; // Upper bound of the retry delay (ms)
+const STREAM_TIMEOUT = 40000; // Reconnect when the stream is silent this long - the server sends a heartbeat every 15s (ms)
+const STALE_AFTER = 30000; // Data older than this is marked stale while disconnected (ms)
+const STATUS_DELAY = 2000; // Short interruptions don't flash the status badge (ms)
+const WATCHDOG_INTERVAL = 1000; // How often the connection health is checked (ms)
+
+class NowPlayingConnection {
+  /**
+   * @param {StateCache} stateCache - Used to throttle polling
+   * @param {Function} onData - Called with every track update from the server
+   */
+  constructor(stateCache, onData) {
+    this.cache = stateCache;
+    this.onData = onData;
+    this.events = null; // Current EventSource
+    this.streamOpened = false; // Whether the event stream ever worked on this page
+    this.streamActivity = 0; // Last message or connection attempt on the stream (ms)
+    this.pollTimer = null;
+    this.reconnectTimer = null;
+    this.attempts = 0; // Consecutive failed attempts, drives the backoff
+    this.lastMessageTime = 0; // Last time anything was received from the server (ms)
+    this.disconnectedSince = null; // When the current outage started (ms)
+    this.version = null; // Build version the page was loaded with
+    this.badge = document.getElementById("connection-status");
+    this.onPairing = null; // Called with 'pairing' events (only sent to displays with control access)
+  }
+
+  /**
+   * Delay before the next retry: exponential backoff with "equal jitter",
+   * a random delay between half and all of the backoff
+   * @returns {number} - Delay in ms
+   */
+  getRetryDelay() {
+    const backoff = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * Math.pow(2, this.attempts - 1));
+    return backoff / 2 + Math.random() * (backoff / 2);
+  }
+
+  /**
+   * Record a message from the server
+   */
+  markConnected() {
+    if (this.disconnectedSince) {
+      console.log("Connection restored");
+    }
+    this.attempts = 0;
+    this.lastMessageTime = Date.now();
+    this.disconnectedSince = null;
+    this.checkHealth();
+  }
+
+  /**
+   * Record a failed request or dropped stream
+   */
+  markDisconnected() {
+    this.attempts++;
+    if (!this.disconnectedSince) {
+      this.disconnectedSince = Date.now();
+    }
+  }
+
+  /**
+   * Reload the page when the server reports a different build version
+   * The first version seen is the one this page was loaded with
+   * @param {string|null} version - Build version from the server
+   */
+  checkVersion(version) {
+    if (!version) {
+      return;
+    }
+    if (!this.version) {
+      this.version = version;
+    } else if (version !== this.version) {
+      console.log(`New version ${version} available, reloading`);
+      window.location.reload();
+    }
+  }
+
+  /**
+   * Send the display to the pairing page, e.g. after it was revoked
+   * It comes back to this page once it has access again
+   */
+  requireAccess() {
+    const next = window.location.pathname + window.location.search;
+    window.location.href = `/pair?next=${encodeURIComponent(next)}`;
+  }
+
+  /**
+   * Check that the display still has access, e.g. after its stream dropped
+   * Sends it to the pairing page when the server answers 401
+   * @returns {Promise<boolean>} - False when access was revoked
+   */
+  async checkAccess() {
+    try {
+      const r = await fetch("/api/now", { cache: "no-store" });
+      if (r.status === 401) {
+        this.requireAccess();
+        return false;
+      }
+    } catch (e) {
+      // Unreachable: the backoff below handles it
+    }
+    return true;
+  }
+
+  /**
+   * Refresh function - fetches current track info and updates UI
+   * Only makes API calls when necessary (track changed or time interval passed)
+   * @param {boolean} force - Fetch even if the fetch interval hasn't passed
+   * @returns {Promise<boolean>} - False if the server couldn't be reached
+   */
+  async refresh(force = false) {
+    // Check if we should fetch (enough time passed or first load)
+    if (!force && !this.cache.shouldFetch()) {
+      return true;
+    }
+
+    let data;
+    try {
+      // Fetch current track information from API
+      const r = await fetch("/api/now", { cache: "no-store" });
+      if (r.status === 401) {
+        this.requireAccess();
+        return true;
+      }
+      data = await r.json();
+      this.checkVersion(r.headers.get("X-Build-Version"));
+    } catch (e) {
+      console.error(e);
+      this.markDisconnected();
+      return false;
+    }
+
+    // Update fetch timestamp
+    this.cache.updateFetchTime();
+    this.markConnected();
+    this.onData(data);
+    return true;
+  }
+
+  /**
+   * Fall back to polling the API
+   * Polls every 2 seconds (but only fetches every 3 seconds due to FETCH_INTERVAL),
+   * backing off while the server is unreachable
+   */
+  startPolling() {
+    const poll = async () => {
+      const reachable = await this.refresh();
+      this.pollTimer = setTimeout(poll, reachable ? POLL_INTERVAL : this.getRetryDelay());
+    };
+    poll();
+  }
+
+  /**
+   * Open the event stream
+   * EventSource's own reconnects are bypassed: every error closes the stream
+   * and reconnect() schedules the next attempt with backoff
+   */
+  connect() {
+    this.reconnectTimer = null;
+    this.streamActivity = Date.now();
+
+    const events = new EventSource("/api/events");
+    this.events = events;
+
+    const onActivity = () => {
+      this.streamActivity = Date.now();
+      this.markConnected();
+    };
+    const onEvent = (event) => {
+      onActivity();
+      this.onData(JSON.parse(event.data));
+    };
+    events.addEventListener("hello", (event) => {
+      onActivity();
+      this.checkVersion(JSON.parse(event.data).version);
+    });
+    events.addEventListener("heartbeat", onActivity);
+    events.addEventListener("track-changed", onEvent);
+    events.addEventListener("playback-changed", onEvent);
+    events.addEventListener("stopped", onEvent);
+    events.addEventListener("pairing", (event) => {
+      onActivity();
+      if (this.onPairing) {
+        this.onPairing(JSON.parse(event.data));
+      }
+    });
+
+    events.onopen = () => {
+      this.streamOpened = true;
+    };
+    events.onerror = () => this.reconnect();
+  }
+
+  /**
+   * Close the stream and schedule the next attempt
+   */
+  async reconnect() {
+    if (this.events) {
+      this.events.close();
+      this.events = null;
+    }
+    if (this.reconnectTimer) {
+      return;
+    }
+    this.markDisconnected();
+
+    // The API answers but the stream never opened: streaming is blocked, e.g. by a proxy
+    if (!this.streamOpened) {
+      if (await this.refresh(true)) {
+        console.log("Event stream unavailable, falling back to polling");
+        this.startPolling();
+        return;
+      }
+    } else if (!await this.checkAccess()) {
+      // The stream ended because this display was revoked
+      return;
+    }
+
+    const delay = this.getRetryDelay();
+    console.log(`Event stream lost, reconnecting in ${(delay / 1000).toFixed(1)}s`);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  /**
+   * Retry the stream right away when the browser reports the network is back
+   */
+  retryNow() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.connect();
+    }
+  }
+
+  /**
+   * Watchdog: reconnect a silent stream, mark stale data and update the badge
+   */
+  checkHealth() {
+    const now = Date.now();
+    if (this.events && now - this.streamActivity > STREAM_TIMEOUT) {
+      console.log("Event stream timed out");
+      this.reconnect();
+    }
+
+    const stale = this.disconnectedSince !== null && this.lastMessageTime > 0 && now - this.lastMessageTime > STALE_AFTER;
+    document.body.classList.toggle("stale", stale);
+
+    if (this.disconnectedSince === null || now - this.disconnectedSince < STATUS_DELAY) {
+      this.setStatus(null);
+    } else {
+      this.setStatus(stale ? "disconnected" : "reconnecting");
+    }
+  }
+
+  /**
+   * Show or hide the connection status badge (if the page has one)
+   * @param {string|null} status - "reconnecting", "disconnected" or null when connected
+   */
+  setStatus(status) {
+    if (!this.badge) {
+      return;
+    }
+    this.badge.classList.toggle("hidden", !status);
+    if (status && this.badge.dataset.status !== status) {
+      this.badge.dataset.status = status;
+      this.badge.textContent = status === "disconnected" ? "Disconnected — reconnecting…" : "Reconnecting…";
+    }
+  }
+
+  /**
+   * Subscribe to track change events pushed by the server, or poll when
+   * the browser has no EventSource
+   */
+  start() {
+    setInterval(() => this.checkHealth(), WATCHDOG_INTERVAL);
+    window.addEventListener("online", () => this.retryNow());
+
+    if (!window.EventSource) {
+      this.startPolling();
+      return;
+    }
+    this.connect();
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * DebugOverlay - Hidden diagnostics panel
+ *
+ * Shows /api/health on top of the display: which now-playing provider is
+ * in use and its last error, poll timing, cover provider counters and
+ * latency, artwork API state and cache hit rate. Toggled with the D key,
+ * or shown on load with ?debug. Only polls the server while visible.
+ */
+const DEBUG_REFRESH_INTERVAL = 2000; // How often the panel is refreshed while visible (ms)
+
+class DebugOverlay {
+  constructor() {
+    this.panel = document.getElementById("debug");
+    this.timer = null;
+  }
+
+  /**
+   * Toggle the panel with the D key; ?debug shows it right away
+   */
+  bindShortcut() {
+    document.addEventListener("keydown", (event) => {
+      if (event.key.toLowerCase() !== "d" || event.ctrlKey || event.metaKey || event.altKey) {
+        return;
+      }
+      this.toggle();
+    });
+    if (new URLSearchParams(window.location.search).has("debug")) {
+      this.toggle();
+    }
+  }
+
+  /**
+   * Show or hide the panel
+   */
+  toggle() {
+    const visible = this.panel.classList.toggle("hidden") === false;
+    clearInterval(this.timer);
+    this.timer = null;
+    if (visible) {
+      this.refresh();
+      this.timer = setInterval(() => this.refresh(), DEBUG_REFRESH_INTERVAL);
+    }
+  }
+
+  /**
+   * Fetch the health report and render it
+   */
+  async refresh() {
+    try {
+      // 503 still carries the report (provider failing)
+      const r = await fetch("/api/health", { cache: "no-store" });
+      this.render(await r.json());
+    } catch (e) {
+      this.render(null, e);
+    }
+  }
+
+  /**
+   * Format an ISO time as "12s ago"
+   * @param {string|null} time
+   * @returns {string}
+   */
+  static ago(time) {
+    if (!time) {
+      return "never";
+    }
+    const seconds = Math.round((Date.now() - Date.parse(time)) / 1000);
+    return seconds < 120 ? `${seconds}s ago` : `${Math.round(seconds / 60)}m ago`;
+  }
+
+  /**
+   * Render the report as plain text lines
+   * @param {Object|null} health - /api/health response
+   * @param {Error} [error] - Set when the server couldn't be reached
+   */
+  render(health, error) {
+    if (!health) {
+      this.panel.textContent = `Server unreachable: ${error.message}`;
+      return;
+    }
+
+    const { provider, covers, cache } = health;
+    const lines = [
+      `status    ${health.status}   version ${health.version}   uptime ${health.uptime}s   displays ${health.clients}`,
+      `playing   ${health.nowPlaying || "-"}`,
+      "",
+      `provider  ${provider.active || "none"} (${provider.configured})   ` +
+        provider.available.map((entry) => `${entry.name}: ${entry.available ? "yes" : "no"}`).join(", "),
+      `polls     ${provider.polls} (${provider.errors} errors)   last ${DebugOverlay.ago(provider.lastPoll)} in ${provider.lastPollDuration ?? "-"}ms   ok ${DebugOverlay.ago(provider.lastSuccess)}`
+    ];
+    if (provider.lastError) {
+      lines.push(`error     ${provider.lastError.code}: ${provider.lastError.message} (${DebugOverlay.ago(provider.lastError.time)})`);
+    }
+
+    lines.push("", `covers    ${covers.order.join(" → ")}`);
+    for (const entry of covers.providers) {
+      lines.push(`  ${entry.name.padEnd(8)}found ${entry.found}  none ${entry.notFound}  errors ${entry.errors}  skipped ${entry.skipped}  ` +
+        `avg ${entry.averageTime ?? "-"}ms  max ${entry.maxTime}ms`);
+    }
+    for (const entry of covers.requests) {
+      lines.push(`  ${entry.name.padEnd(16)}${entry.state}  requests ${entry.requests}  retries ${entry.retries}  failures ${entry.failures}`);
+    }
+
+    const hitRate = cache.hitRate === null ? "-" : `${Math.round(cache.hitRate * 100)}%`;
+    lines.push("", `cache     ${cache.entries} entries, ${(cache.bytes / 1024 / 1024).toFixed(1)} MB   hit rate ${hitRate} (${cache.hits}/${cache.hits + cache.misses})`);
+
+    this.panel.textContent = lines.join("\n");
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * LyricsManager - Fetches and renders lyrics for the current track
+ * 
+ * Shows a karaoke-style panel next to the cover. Synced lyrics scroll so the
+ * line matching the playback position is highlighted and centered; plain
+ * lyrics are shown as scrollable text. Disable with ?lyrics=off.
+ */
+const LYRICS_SYNC_INTERVAL = 200; // How often the active line is updated (ms)
+
+class LyricsManager {
+  constructor(stateCache) {
+    this.cache = stateCache;
+    this.enabled = new URLSearchParams(window.location.search).get("lyrics") !== "off";
+    this.lyrics = null; // Current lyrics from /api/lyrics
+    this.activeIndex = -1; // Index of the highlighted line
+    this.syncTimer = null;
+    this.requestId = 0; // Discards responses for tracks that are no longer playing
+  }
+
+  /**
+   * Fetch and render lyrics for a track
+   * @param {Object} data - Track data from API
+   */
+  async loadLyrics(data) {
+    this.clear();
+    if (!this.enabled) {
+      return;
+    }
+
+    const requestId = ++this.requestId;
+    const params = new URLSearchParams({
+      title: data.title || "",
+      artist: data.artist || "",
+      album: data.album || ""
+    });
+    if (data.duration) {
+      params.set("duration", data.duration);
+    }
+
+    try {
+      const r = await fetch(`/api/lyrics?${params}`);
+      const lyrics = await r.json();
+      if (requestId !== this.requestId || !lyrics.found) {
+        return;
+      }
+      this.render(lyrics);
+    } catch (error) {
+      console.log("Failed to load lyrics:", error);
+    }
+  }
+
+  /**
+   * Render lyrics lines and start syncing synced lyrics
+   * @param {Object} lyrics - { synced, lines: [{ time, text }] }
+   */
+  render(lyrics) {
+    const panel = document.getElementById("lyrics");
+    const container = document.getElementById("lyrics-lines");
+
+    this.lyrics = lyrics;
+    container.replaceChildren(...lyrics.lines.map((line) => {
+      const element = document.createElement("p");
+      element.className = "lyrics-line";
+      // Keep empty (instrumental) lines so spacing matches the song
+      element.textContent = line.text || "♪";
+      return element;
+    }));
+
+    panel.classList.toggle("plain", !lyrics.synced);
+    panel.classList.remove("hidden");
+
+    if (lyrics.synced) {
+      this.sync();
+      this.syncTimer = setInterval(() => this.sync(), LYRICS_SYNC_INTERVAL);
+    }
+  }
+
+  /**
+   * Highlight the line for the current playback position and center it
+   */
+  sync() {
+    const elapsed = this.cache.getElapsedTime();
+    if (!this.lyrics || elapsed === null) {
+      return;
+    }
+
+    // Last line whose time has been reached
+    const lines = this.lyrics.lines;
+    let index = -1;
+    while (index + 1 < lines.length && lines[index + 1].time <= elapsed) {
+      index++;
+    }
+    if (index === this.activeIndex) {
+      return;
+    }
+
+    const container = document.getElementById("lyrics-lines");
+    const elements = container.children;
+    if (elements[this.activeIndex]) {
+      elements[this.activeIndex].classList.remove("active");
+    }
+    this.activeIndex = index;
+
+    // Before the first line, keep the first line centered
+    const target = elements[Math.max(index, 0)];
+    if (index >= 0) {
+      target.classList.add("active");
+    }
+    const panelHeight = document.getElementById("lyrics").clientHeight;
+    const offset = target.offsetTop + target.offsetHeight / 2 - panelHeight / 2;
+    container.style.transform = `translateY(${-offset}px)`;
+  }
+
+  /**
+   * Hide the panel and stop syncing
+   */
+  clear() {
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+    this.lyrics = null;
+    this.activeIndex = -1;
+    this.requestId++;
+
+    const panel = document.getElementById("lyrics");
+    panel.classList.add("hidden");
+    panel.scrollTop = 0;
+    const container = document.getElementById("lyrics-lines");
+    container.replaceChildren();
+    container.style.transform = "";
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Streaming Overlay Entry Point
+ *
+ * Compact now-playing card for OBS browser sources (/overlay). Reuses
+ * UIUpdater for the track data and ThemeManager for the palette colors;
+ * the card slides out and back in on track changes and hides when stopped.
+ *
+ * Query parameters:
+ *   layout   - compact (default) or ticker
+ *   position - top-left, top-right, bottom-left (default), bottom-right, top, bottom
+ *   font     - font family, e.g. font=Inter (must be installed or loaded by OBS)
+ *   size     - base font size in pixels (default 18)
+ *   theme    - off for a plain dark card instead of the cover palette
+ */
+const OVERLAY_LAYOUTS = ["compact", "ticker"];
+const OVERLAY_POSITIONS = ["top-left", "top-right", "bottom-left", "bottom-right", "top", "bottom"];
+const OVERLAY_SLIDE_DURATION = 500; // Must match the .overlay-card transition (ms)
+const TICKER_SPEED = 40; // Ticker scroll speed (pixels per second)
+
+const params = new URLSearchParams(window.location.search);
+const themed = params.get("theme") !== "off";
+
+// Initialize managers
+const stateCache = new StateCache();
+const uiUpdater = new UIUpdater(stateCache);
+const themeManager = new ThemeManager();
+const connection = new NowPlayingConnection(stateCache, handleTrackData);
+
+const card = document.getElementById("overlay");
+let transition = Promise.resolve(); // Slide animations run one after another
+
+/**
+ * Apply layout, position and font options from the query string
+ */
+function applyOptions() {
+  const layout = OVERLAY_LAYOUTS.includes(params.get("layout")) ? params.get("layout") : "compact";
+  const position = OVERLAY_POSITIONS.includes(params.get("position")) ? params.get("position") : "bottom-left";
+  document.body.classList.add(`layout-${layout}`, `position-${position}`);
+  document.body.classList.toggle("theme-off", !themed);
+
+  const font = params.get("font");
+  if (font) {
+    // Quotes and backslashes would break out of the font-family value
+    document.documentElement.style.setProperty("--overlay-font", `"${font.replace(/["\\]/g, "")}", system-ui, sans-serif`);
+  }
+  const size = parseInt(params.get("size"), 10);
+  if (size > 0) {
+    document.documentElement.style.setProperty("--overlay-size", `${size}px`);
+  }
+}
+
+/**
+ * Wait for a slide animation to finish
+ * @param {number} ms
+ * @returns {Promise}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Scroll the ticker line when it is wider than the card
+ */
+function updateTicker() {
+  const line = card.querySelector(".overlay-line");
+  line.classList.remove("scrolling");
+  if (!document.body.classList.contains("layout-ticker")) {
+    return;
+  }
+
+  const overflow = line.scrollWidth - line.parentElement.clientWidth;
+  if (overflow > 0) {
+    line.style.setProperty("--ticker-distance", `-${overflow}px`);
+    // The scroll takes 70% of the cycle, the rest is a pause at either end
+    line.style.setProperty("--ticker-duration", `${Math.max(overflow / TICKER_SPEED / 0.7, 4)}s`);
+    line.classList.add("scrolling");
+  }
+}
+
+/**
+ * Apply track data to the overlay
+ * On a track change the card slides out, is updated while hidden and slides
+ * back in; it stays hidden while nothing is playing
+ * @param {Object} data - Track data from API or event stream
+ */
+function handleTrackData(data) {
+  const newTrackKey = stateCache.getTrackKey(data);
+
+  if (stateCache.hasTrackChanged(newTrackKey)) {
+    stateCache.updateTrackKey(newTrackKey);
+    const active = data.status === "playing" || data.status === "paused";
+
+    transition = transition.then(async () => {
+      if (!card.classList.contains("hidden")) {
+        card.classList.add("hidden");
+        await wait(OVERLAY_SLIDE_DURATION);
+      }
+
+      // Resolves once the new cover has loaded, so the card never slides in half-updated
+      await uiUpdater.updateUI(
+        data,
+        // Theme the card from the server's palette, or from the cover in the browser
+        (coverUrl) => {
+          if (!themed) return;
+          if (data.palette) {
+            themeManager.applyPalette(data.palette, coverUrl);
+          } else {
+            themeManager.extractColorsFromCover(coverUrl);
+          }
+        },
+        () => themed && themeManager.resetToDefaultColors()
+      );
+
+      if (active) {
+        updateTicker();
+        card.classList.remove("hidden");
+      }
+    });
+  }
+
+  uiUpdater.updatePlayback(data);
+}
+
+// Initialize: apply options and subscribe to updates on page load
+applyOptions();
+connection.start();
@@ -0,0 +1,109 @@
+/**
+ * Pairing Page Entry Point
+ *
+ * Shown to displays without access (/pair). Asks the server for a pairing
+ * code, which appears on the host, then exchanges the code entered here -
+ * or an access token - for the access cookie and returns to the page the
+ * display came from (?next=). Opened from the host's QR code, ?code= pairs
+ * right away.
+ */
+const PAIRING_CODE_PATTERN = /^\d{6}$/;
+
+const pairParams = new URLSearchParams(window.location.search);
+const pairForm = document.getElementById("pair-form");
+const pairInput = document.getElementById("pair-input");
+const pairMessage = document.getElementById("pair-message");
+
+/**
+ * Page to return to after pairing - only paths on this server
+ * @returns {string}
+ */
+function getNextUrl() {
+  const next = pairParams.get("next") || "/";
+  return next.startsWith("/") && !next.startsWith("//") ? next : "/";
+}
+
+/**
+ * Show a status or error message
+ * @param {string} text
+ * @param {boolean} [error]
+ */
+function showMessage(text, error = false) {
+  pairMessage.textContent = text;
+  pairMessage.classList.toggle("error", error);
+}
+
+/**
+ * Ask the server to show a pairing code on the host
+ */
+async function requestCode() {
+  try {
+    const r = await fetch("/api/pair/start", { method: "POST" });
+    const data = await r.json();
+    if (r.ok) {
+      showMessage("Enter the code shown on the host, or an access token.");
+    } else if (data.error.code === "PAIRING_DISABLED") {
+      showMessage("Enter an access token to use this display.");
+    } else {
+      showMessage(data.error.message, true);
+    }
+  } catch (e) {
+    console.error(e);
+    showMessage("Could not reach the server.", true);
+  }
+}
+
+/**
+ * Pair with a code, or sign in with an access token
+ * @param {string} value - Code or token
+ */
+async function submitPairing(value) {
+  const body = PAIRING_CODE_PATTERN.test(value) ? { code: value } : { password: value };
+  try {
+    const r = await fetch("/api/pair", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    const data = await r.json();
+    if (!r.ok) {
+      showMessage(data.error.message, true);
+      pairInput.value = "";
+      return;
+    }
+    window.location.href = getNextUrl();
+  } catch (e) {
+    console.error(e);
+    showMessage("Could not reach the server.", true);
+  }
+}
+
+/**
+ * Skip pairing when it wouldn't give this display more access, otherwise start it
+ */
+async function init() {
+  try {
+    const r = await fetch("/api/auth", { cache: "no-store" });
+    const data = await r.json();
+    if (data.scope === "control" || (data.scope && data.pairing !== "control")) {
+      window.location.href = getNextUrl();
+      return;
+    }
+    if (pairParams.get("code")) {
+      submitPairing(pairParams.get("code"));
+    } else if (data.pairing) {
+      requestCode();
+    } else {
+      showMessage("Enter an access token to use this display.");
+    }
+  } catch (e) {
+    console.error(e);
+    showMessage("Could not reach the server.", true);
+  }
+}
+
+pairForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  submitPairing(pairInput.value.trim());
+});
+init();
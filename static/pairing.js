@@ -0,0 +1,34 @@
+/**
+ * PairingPrompt - Pairing code on the host's screen
+ *
+ * When a new display asks to pair, displays with full access (usually the
+ * host's own screen) receive the code and a QR code over the event stream.
+ * The prompt stays up until the display has paired or the code expires.
+ */
+class PairingPrompt {
+  constructor() {
+    this.panel = document.getElementById("pairing");
+    this.code = document.getElementById("pairing-code");
+    this.qr = document.getElementById("pairing-qr");
+    this.timer = null;
+  }
+
+  /**
+   * Show or hide the prompt
+   * @param {Object} prompt - 'pairing' event: { active, code, qr (SVG), expiresAt }
+   */
+  update(prompt) {
+    clearTimeout(this.timer);
+    if (!prompt.active) {
+      this.panel.classList.add("hidden");
+      return;
+    }
+
+    this.code.textContent = prompt.code;
+    this.qr.innerHTML = prompt.qr; // SVG rendered by the server
+    this.panel.classList.remove("hidden");
+
+    // The server ends the prompt too; this covers a stream that drops meanwhile
+    this.timer = setTimeout(() => this.update({ active: false }), Math.max(0, prompt.expiresAt - Date.now()));
+  }
+}
@@ -2,57 +2,125 @@
  * Main Application Entry Point
  * 
  * Orchestrates the application by coordinating state management,
- * UI updates, and theme management. Polls the API periodically
- * and updates the UI only when the track changes.
+ * UI updates, and theme management. Track data arrives through
+ * NowPlayingConnection (event stream, or polling as a fallback).
+ * Updates the UI only when the track changes. Displays with read-only
+ * access hide the playback controls.
  */
 
 // Initialize managers
 const stateCache = new StateCache();
 const uiUpdater = new UIUpdater(stateCache);
 const themeManager = new ThemeManager();
+const lyricsManager = new LyricsManager(stateCache);
+const visualizer = new AudioVisualizer(() => themeManager.getColors());
+const connection = new NowPlayingConnection(stateCache, handleTrackData);
+const debugOverlay = new DebugOverlay();
+const pairingPrompt = new PairingPrompt();
+
+// Number of tracks shown in the "recently played" strip
+const HISTORY_SIZE = 10;
 
 /**
- * Refresh function - fetches current track info and updates UI
- * Only makes API calls when necessary (track changed or time interval passed)
- * Only updates UI when track actually changes
+ * Apply track data to the UI
+ * Track info is only updated when the track actually changes; playback
+ * state (paused, progress) is updated on every message
+ * @param {Object} data - Track data from API or event stream
  */
-async function refresh() {
-  try {
-    // Check if we should fetch (enough time passed or first load)
-    if (!stateCache.shouldFetch()) {
-      return;
+function handleTrackData(data) {
+  // Generate track key to detect changes
+  const newTrackKey = stateCache.getTrackKey(data);
+  
+  // Only update UI if track has changed
+  if (stateCache.hasTrackChanged(newTrackKey)) {
+    stateCache.updateTrackKey(newTrackKey);
+    
+    // Update UI with new track data
+    uiUpdater.updateUI(
+      data,
+      // Callback to theme the page when the cover changes - from the server's
+      // palette when available, otherwise by extracting colors in the browser
+      (coverUrl) => data.palette
+        ? themeManager.applyPalette(data.palette, coverUrl)
+        : themeManager.extractColorsFromCover(coverUrl),
+      // Callback to reset colors when stopped
+      () => themeManager.resetToDefaultColors()
+    );
+
+    // Lyrics follow the track; nothing to show when stopped
+    if (data.status === "playing" || data.status === "paused") {
+      lyricsManager.loadLyrics(data);
+    } else {
+      lyricsManager.clear();
     }
 
-    // Fetch current track information from API
-    const r = await fetch("/api/now", { cache: "no-store" });
+    // The previous track has just been added to the history
+    refreshHistory();
+  }
+
+  uiUpdater.updatePlayback(data);
+}
+
+/**
+ * Fetch recently played tracks and update the strip
+ */
+async function refreshHistory() {
+  try {
+    const r = await fetch(`/api/history?limit=${HISTORY_SIZE}`, { cache: "no-store" });
     const data = await r.json();
-    
-    // Update fetch timestamp
-    stateCache.updateFetchTime();
-    
-    // Generate track key to detect changes
-    const newTrackKey = stateCache.getTrackKey(data);
-    
-    // Only update UI if track has changed
-    if (stateCache.hasTrackChanged(newTrackKey)) {
-      stateCache.updateTrackKey(newTrackKey);
-      
-      // Update UI with new track data
-      uiUpdater.updateUI(
-        data,
-        // Callback to extract colors when cover changes
-        (coverUrl) => themeManager.extractColorsFromCover(coverUrl),
-        // Callback to reset colors when stopped
-        () => themeManager.resetToDefaultColors()
-      );
+    uiUpdater.updateHistory(data.items);
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+/**
+ * Send a playback command to the server
+ * The response carries the player state after the command, which is applied
+ * right away instead of waiting for the next event or poll
+ * @param {string} command - play, pause, toggle, next, previous or seek
+ * @param {Object} [body] - Command payload, e.g. { position } for seek
+ */
+async function sendCommand(command, body = {}) {
+  if (document.body.classList.contains("read-only")) {
+    return;
+  }
+  try {
+    const r = await fetch(`/api/control/${command}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    const data = await r.json();
+    if (!r.ok) {
+      console.error(`Command ${command} failed:`, data.error);
+      return;
     }
+    handleTrackData(data);
   } catch (e) {
     console.error(e);
   }
 }
 
-// Initialize: fetch immediately on page load
-refresh();
+/**
+ * Hide the playback controls when this display may not control playback
+ */
+async function checkAccess() {
+  try {
+    const r = await fetch("/api/auth", { cache: "no-store" });
+    const data = await r.json();
+    document.body.classList.toggle("read-only", data.scope !== "control");
+  } catch (e) {
+    console.error(e);
+  }
+}
 
-// Poll API every 2 seconds (but only fetch every 3 seconds due to FETCH_INTERVAL)
-setInterval(refresh, 2000);
+// Initialize: wire up playback controls and subscribe to updates on page load
+uiUpdater.bindControls(sendCommand);
+themeManager.bindModeShortcut();
+visualizer.bindShortcut();
+visualizer.start();
+debugOverlay.bindShortcut();
+connection.onPairing = (prompt) => pairingPrompt.update(prompt);
+checkAccess();
+connection.start();
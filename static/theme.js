@@ -3,10 +3,103 @@
  * 
  * Extracts dominant colors from album artwork and applies them
  * to the background and text for a dynamic, themed experience.
+ *
+ * The background is drawn in one of several modes (solid, gradient, blurred
+ * artwork, animated mesh), chosen with the ?background= URL parameter or the
+ * B key and remembered in localStorage. Each new background is faded in over
+ * the previous one, since CSS can't transition between gradients.
  */
 const BACKGROUND_DARKEN_PERCENT = 40; // Percentage to darken background color for better contrast
+const BACKGROUND_MODES = ["solid", "gradient", "artwork", "mesh"];
+const BACKGROUND_STORAGE_KEY = "background"; // localStorage key of the selected mode
+const BACKDROP_FADE_DURATION = 1500; // Must match the .backdrop-layer transition (ms)
+const BACKDROP_ARTWORK_SIZE = 160; // The artwork backdrop is heavily blurred, a small variant is enough
+const DEFAULT_BACKGROUND = "linear-gradient(135deg, #667eea 0%, #764ba2 100%)";
 
 class ThemeManager {
+  constructor() {
+    this.mode = this.getInitialMode();
+    this.backdrop = document.getElementById("backdrop");
+    // What the current background is drawn from, so it can be redrawn when the mode changes
+    this.current = { background: DEFAULT_BACKGROUND, stops: null, coverUrl: null };
+    // Foreground colors of the current theme, accent first (used by the visualizer)
+    this.colors = ["#ffffff"];
+  }
+
+  /**
+   * Colors of the current track for foreground effects
+   * @returns {string[]} - Hex colors, the accent color first
+   */
+  getColors() {
+    return this.colors;
+  }
+
+  /**
+   * Background mode from the URL (?background=mesh), then localStorage, then solid
+   * A mode given in the URL is remembered for the next visit
+   * @returns {string} - One of BACKGROUND_MODES
+   */
+  getInitialMode() {
+    const requested = new URLSearchParams(window.location.search).get("background");
+    if (BACKGROUND_MODES.includes(requested)) {
+      this.saveMode(requested);
+      return requested;
+    }
+    const saved = this.loadMode();
+    return BACKGROUND_MODES.includes(saved) ? saved : "solid";
+  }
+
+  /**
+   * Read the saved mode (localStorage may be unavailable, e.g. in private browsing)
+   * @returns {string|null}
+   */
+  loadMode() {
+    try {
+      return window.localStorage.getItem(BACKGROUND_STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Remember the selected mode
+   * @param {string} mode
+   */
+  saveMode(mode) {
+    try {
+      window.localStorage.setItem(BACKGROUND_STORAGE_KEY, mode);
+    } catch (error) {
+      // Not persisted - the mode still applies until the page is reloaded
+    }
+  }
+
+  /**
+   * Switch background mode and redraw
+   * @param {string} mode - One of BACKGROUND_MODES
+   */
+  setMode(mode) {
+    if (!BACKGROUND_MODES.includes(mode) || mode === this.mode) {
+      return;
+    }
+    this.mode = mode;
+    this.saveMode(mode);
+    this.renderBackdrop();
+  }
+
+  /**
+   * Cycle through background modes with the B key
+   */
+  bindModeShortcut() {
+    document.addEventListener("keydown", (event) => {
+      if (event.key.toLowerCase() !== "b" || event.ctrlKey || event.metaKey || event.altKey) {
+        return;
+      }
+      const next = BACKGROUND_MODES[(BACKGROUND_MODES.indexOf(this.mode) + 1) % BACKGROUND_MODES.length];
+      console.log(`Background mode: ${next}`);
+      this.setMode(next);
+    });
+  }
+
   /**
    * Extract colors from album cover and apply to background
    * Uses the colorExtractor utility to analyze the image
@@ -17,7 +110,7 @@ class ThemeManager {
       // Extract top 3 dominant colors from the image
       const colors = await window.colorExtractor.extractColors(coverUrl, 3);
       if (colors && colors.length > 0) {
-        this.applyColorsToBackground(colors);
+        this.applyColorsToBackground(colors, coverUrl);
       }
     } catch (error) {
       console.log('Failed to extract colors:', error);
@@ -25,12 +118,35 @@ class ThemeManager {
     }
   }
 
+  /**
+   * Apply a palette computed by the server (see covers/palette.js)
+   * No canvas work needed, so the theme changes together with the track.
+   * The server's theme already guarantees WCAG AA contrast for the text
+   * @param {Object} palette - Palette from the API with a theme { background, stops, text, accent, scheme }
+   * @param {string} coverUrl - Cover URL, for the artwork background
+   */
+  applyPalette(palette, coverUrl) {
+    const { background, stops, text, accent, scheme } = palette.theme;
+    document.documentElement.style.setProperty('--bg-gradient', background);
+    document.documentElement.style.setProperty('--text-color', text);
+    document.documentElement.style.setProperty('--accent-color', accent);
+    document.documentElement.style.setProperty('--text-shadow', scheme === 'light'
+      ? '0 2px 4px rgba(255, 255, 255, 0.3)' // White shadow for dark text
+      : '0 2px 4px rgba(0, 0, 0, 0.3)'); // Black shadow for light text
+
+    this.current = { background, stops, coverUrl };
+    // Swatches that stand out on the background; dark swatches would vanish on a dark theme
+    this.colors = [accent, ...[palette.vibrant, palette.light, palette.muted].filter(Boolean).map((color) => color.hex)];
+    this.renderBackdrop();
+  }
+
   /**
    * Apply extracted colors to the page background and text
    * Uses the dominant color, darkened for better contrast
    * @param {Array} colors - Array of color objects with r, g, b, hex properties
+   * @param {string} [coverUrl] - Cover URL, for the artwork background
    */
-  applyColorsToBackground(colors) {
+  applyColorsToBackground(colors, coverUrl = null) {
     // Use the first (dominant) color
     const dominantColor = colors[0];
     
@@ -38,18 +154,24 @@ class ThemeManager {
     const darkenedColor = window.colorExtractor.darkenColor(dominantColor, BACKGROUND_DARKEN_PERCENT);
     const solidColor = darkenedColor.hex;
     
-    // Calculate accessible text color (black or white) based on brightness
-    const textColor = window.colorExtractor.getAccessibleTextColor(dominantColor);
+    // Pick the text color (black or white) with the better contrast on the actual background
+    const textColor = window.colorExtractor.getAccessibleTextColor(darkenedColor);
     
     // Update CSS custom properties
     document.documentElement.style.setProperty('--bg-gradient', solidColor);
     document.documentElement.style.setProperty('--text-color', textColor);
+    document.documentElement.style.setProperty('--accent-color', textColor);
     
     // Adjust text shadow based on text color for better readability
     const textShadow = textColor === '#000000' 
       ? '0 2px 4px rgba(255, 255, 255, 0.3)' // White shadow for dark text
       : '0 2px 4px rgba(0, 0, 0, 0.3)'; // Black shadow for light text
     document.documentElement.style.setProperty('--text-shadow', textShadow);
+
+    const stops = colors.map((color) => window.colorExtractor.darkenColor(color, BACKGROUND_DARKEN_PERCENT).hex);
+    this.current = { background: solidColor, stops, coverUrl };
+    this.colors = [textColor, ...colors.map((color) => color.hex)];
+    this.renderBackdrop();
   }
 
   /**
@@ -57,8 +179,73 @@ class ThemeManager {
    * Used when no cover is available or on errors
    */
   resetToDefaultColors() {
-    document.documentElement.style.setProperty('--bg-gradient', 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)');
+    document.documentElement.style.setProperty('--bg-gradient', DEFAULT_BACKGROUND);
     document.documentElement.style.setProperty('--text-color', '#ffffff');
+    document.documentElement.style.setProperty('--accent-color', '#ffffff');
     document.documentElement.style.setProperty('--text-shadow', '0 2px 4px rgba(0, 0, 0, 0.3)');
+
+    this.current = { background: DEFAULT_BACKGROUND, stops: null, coverUrl: null };
+    this.colors = ["#ffffff"];
+    this.renderBackdrop();
+  }
+
+  /**
+   * CSS background for the current mode
+   * Falls back to a solid background when the mode's inputs are missing
+   * (no palette stops, or no cover for the artwork mode)
+   * @returns {Object} - { mode, background } where mode is the mode actually drawn
+   */
+  getBackdropStyle() {
+    const { background, stops, coverUrl } = this.current;
+
+    if (this.mode === "gradient" && stops && stops.length > 1) {
+      const colorStops = stops.map((color, index) => `${color} ${Math.round(index / (stops.length - 1) * 100)}%`);
+      return { mode: "gradient", background: `linear-gradient(135deg, ${colorStops.join(", ")})` };
+    }
+
+    if (this.mode === "mesh" && stops && stops.length > 1) {
+      // Soft color blobs over the base color; the layer is larger than the
+      // screen and drifts slowly (see .backdrop-mesh)
+      const positions = ["15% 20%", "85% 25%", "70% 85%", "20% 80%"];
+      const blobs = stops.slice(1).concat(stops[0]).map((color, index) =>
+        `radial-gradient(circle at ${positions[index % positions.length]}, ${color} 0%, transparent 55%)`);
+      return { mode: "mesh", background: `${blobs.join(", ")}, ${background}` };
+    }
+
+    if (this.mode === "artwork" && coverUrl) {
+      const artworkUrl = coverUrl.startsWith("/api/cover/")
+        ? `${coverUrl.split("?")[0]}?size=${BACKDROP_ARTWORK_SIZE}`
+        : coverUrl;
+      return { mode: "artwork", background: `url("${artworkUrl}") center / cover no-repeat, ${background}` };
+    }
+
+    return { mode: "solid", background };
+  }
+
+  /**
+   * Draw the background for the current mode
+   * A new layer is faded in on top of the old one, which is removed once hidden
+   */
+  renderBackdrop() {
+    if (!this.backdrop) {
+      return;
+    }
+
+    const { mode, background } = this.getBackdropStyle();
+    const previous = Array.from(this.backdrop.children);
+
+    const layer = document.createElement("div");
+    layer.className = `backdrop-layer backdrop-${mode}`;
+    layer.style.background = background;
+    if (mode === "artwork") {
+      // Tint keeps the text readable on top of the artwork
+      layer.style.setProperty("--backdrop-tint", this.current.background);
+    }
+    this.backdrop.appendChild(layer);
+
+    // Start the transition on the next frame so the layer is rendered hidden first
+    requestAnimationFrame(() => requestAnimationFrame(() => layer.classList.add("visible")));
+
+    setTimeout(() => previous.forEach((old) => old.remove()), BACKDROP_FADE_DURATION);
   }
 }
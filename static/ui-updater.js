@@ -5,9 +5,21 @@
  * Only updates DOM elements when values actually change to avoid
  * unnecessary reflows and improve performance.
  */
+const PROGRESS_UPDATE_INTERVAL = 250; // How often the progress bar advances locally (ms)
+const CONTROLS_HIDE_DELAY = 3000; // How long controls stay visible after the last interaction (ms)
+const SEEK_STEP = 10; // Seconds skipped by the arrow keys
+const COVER_FADE_DURATION = 800; // Must match the .cover-next transition (ms)
+const TEXT_FADE_DURATION = 300; // Must match the track text transition (ms)
+const COVER_PRELOAD_TIMEOUT = 5000; // Give up waiting for artwork and show the placeholder (ms)
+const HISTORY_COVER_SIZE = 96; // Must match the .history-item img size (CSS pixels)
+
 class UIUpdater {
   constructor(stateCache) {
     this.cache = stateCache;
+    this.progressTimer = null;
+    this.controlsTimer = null;
+    this.textFade = null; // { timer, resolve } of the text fade in progress
+    this.transitionId = 0; // Incremented per update, so a slow preload can't overwrite a newer track
   }
 
   /**
@@ -76,13 +88,128 @@ class UIUpdater {
     }
   }
 
+  /**
+   * Cover URL sized for this display
+   * Asks the server for a downscaled variant matching the rendered cover size
+   * and devicePixelRatio (or the ?coverSize= page parameter), so small and
+   * low-power displays don't decode full-size artwork on every track change
+   * @param {string} url - Cover URL from the API
+   * @returns {string} - URL to load
+   */
+  getSizedCoverUrl(url) {
+    if (!url.startsWith("/api/cover/")) {
+      return url;
+    }
+    let size = parseInt(new URLSearchParams(window.location.search).get("coverSize"), 10);
+    if (!size) {
+      const container = document.querySelector(".cover-container");
+      const cssSize = container
+        ? Math.max(container.clientWidth, container.clientHeight)
+        : Math.min(window.innerWidth, window.innerHeight);
+      size = Math.ceil(cssSize * (window.devicePixelRatio || 1));
+    }
+    return `${url}?size=${size}`;
+  }
+
+  /**
+   * Load and decode an image off-DOM
+   * @param {string} url - Image URL
+   * @returns {Promise<boolean>} - True once decoded, false on error or timeout
+   */
+  preloadImage(url) {
+    return new Promise((resolve) => {
+      const image = new Image();
+      const timer = setTimeout(() => resolve(false), COVER_PRELOAD_TIMEOUT);
+      const done = (loaded) => {
+        clearTimeout(timer);
+        resolve(loaded);
+      };
+      image.onload = () => {
+        // decode() makes sure showing the image won't stall on decoding
+        if (image.decode) {
+          image.decode().then(() => done(true), () => done(true));
+        } else {
+          done(true);
+        }
+      };
+      image.onerror = () => done(false);
+      image.src = url;
+    });
+  }
+
+  /**
+   * Fade a new cover in over the current one, then swap it in
+   * The new image is already preloaded, so the swap is instant
+   * @param {HTMLImageElement} cover - The cover element
+   * @param {string} url - New cover URL
+   */
+  crossFadeCover(cover, url) {
+    const next = cover.cloneNode(false);
+    next.removeAttribute("id");
+    next.classList.add("cover-next");
+    next.alt = "";
+    next.src = url;
+    cover.parentNode.insertBefore(next, cover.nextSibling);
+
+    // Start the transition on the next frame so the image is rendered hidden first
+    requestAnimationFrame(() => requestAnimationFrame(() => next.classList.add("visible")));
+
+    setTimeout(() => {
+      // Skipped if playback stopped in the meantime (updateStoppedState removes the image)
+      if (next.parentNode) {
+        cover.src = url;
+        next.remove();
+      }
+    }, COVER_FADE_DURATION);
+  }
+
+  /**
+   * Fade the track text out, update it and fade it back in
+   * @param {Function} update - Applies the new text
+   * @param {number} transition - transitionId of the update, to skip superseded updates
+   * @returns {Promise} - Resolves once the new text is in
+   */
+  crossFadeText(update, transition) {
+    this.cancelTextFade();
+    if (window.matchMedia("(prefers-reduced-motion: reduce)").matches) {
+      update();
+      return Promise.resolve();
+    }
+
+    document.body.classList.add("track-changing");
+    return new Promise((resolve) => {
+      this.textFade = {
+        resolve,
+        timer: setTimeout(() => {
+          if (transition === this.transitionId) {
+            update();
+          }
+          this.cancelTextFade();
+        }, TEXT_FADE_DURATION)
+      };
+    });
+  }
+
+  /**
+   * Stop a text fade in progress, leaving the text as it is
+   */
+  cancelTextFade() {
+    if (this.textFade) {
+      clearTimeout(this.textFade.timer);
+      this.textFade.resolve();
+      this.textFade = null;
+    }
+    document.body.classList.remove("track-changing");
+  }
+
   /**
    * Update the cover image in the UI
    * Handles loading states, error handling, and triggers color extraction
    * @param {Object} data - Track data from API
    * @param {Function} onColorExtract - Callback to extract colors from the cover
+   * @param {boolean} [preloaded] - Whether the new cover was preloaded (see updateUI)
    */
-  updateCoverImage(data, onColorExtract) {
+  updateCoverImage(data, onColorExtract, preloaded = false) {
     const cover = document.getElementById("cover");
     const newTitle = data.title || "Unknown title";
 
@@ -91,18 +218,24 @@ class UIUpdater {
       if (this.cache.currentCoverUrl !== data.cover) {
         this.cache.currentCoverUrl = data.cover;
         
-        // Show loading placeholder
-        this.togglePlaceholder(true);
-        
         // Set cover image source (data URI or URL)
-        cover.src = data.cover;
+        const coverUrl = this.getSizedCoverUrl(data.cover);
         cover.loading = 'eager'; // Load immediately, don't lazy load
         cover.decoding = 'async'; // Decode asynchronously for better performance
         
+        if (preloaded && cover.getAttribute("src")) {
+          // Keep the previous cover up and fade the new one in over it
+          this.crossFadeCover(cover, coverUrl);
+        } else {
+          // First cover, or preloading failed - show the placeholder until it loads
+          this.togglePlaceholder(!preloaded);
+          cover.src = coverUrl;
+        }
+        
         // Extract colors only once per image
         if (this.cache.lastExtractedCoverUrl !== data.cover) {
           this.cache.lastExtractedCoverUrl = data.cover;
-          onColorExtract(data.cover);
+          onColorExtract(coverUrl);
         }
         
         // Handle successful image load
@@ -129,12 +262,194 @@ class UIUpdater {
     }
     
     // Update alt text for accessibility
-    const newAlt = data.status === "playing" ? `Cover for ${newTitle}` : "Album cover";
+    const newAlt = data.status !== "stopped" ? `Cover for ${newTitle}` : "Album cover";
     if (cover.alt !== newAlt) {
       cover.alt = newAlt;
     }
   }
 
+  /**
+   * Format seconds as m:ss (or h:mm:ss for long tracks)
+   * @param {number} seconds - Time in seconds
+   * @returns {string} - Formatted time
+   */
+  formatTime(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, "0");
+    return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+  }
+
+  /**
+   * Render the progress bar and time labels from the cached position
+   */
+  renderProgress() {
+    const progress = document.getElementById("progress");
+    const elapsed = this.cache.getElapsedTime();
+    const duration = this.cache.duration;
+
+    // Hide progress when the player doesn't report a position or length
+    if (elapsed === null || !duration) {
+      progress.classList.add("hidden");
+      return;
+    }
+
+    progress.classList.remove("hidden");
+    document.getElementById("progress-fill").style.width = `${(elapsed / duration) * 100}%`;
+    document.getElementById("elapsed").textContent = this.formatTime(elapsed);
+    document.getElementById("duration").textContent = this.formatTime(duration);
+  }
+
+  /**
+   * Update playback state (paused, position, duration)
+   * Called on every update, since position and pause state change without a track change
+   * @param {Object} data - Track data from API
+   */
+  updatePlayback(data) {
+    this.cache.updatePlayback(data);
+
+    // Dim the display while paused
+    document.body.classList.toggle("paused", data.status === "paused");
+    document.body.classList.toggle("stopped", data.status === "stopped" || data.status === "error");
+
+    if (data.status === "stopped" || data.status === "error") {
+      clearInterval(this.progressTimer);
+      this.progressTimer = null;
+      document.getElementById("progress").classList.add("hidden");
+      return;
+    }
+
+    this.renderProgress();
+
+    // Advance the progress bar locally between updates while playing
+    if (data.status === "playing" && !this.progressTimer) {
+      this.progressTimer = setInterval(() => this.renderProgress(), PROGRESS_UPDATE_INTERVAL);
+    } else if (data.status !== "playing" && this.progressTimer) {
+      clearInterval(this.progressTimer);
+      this.progressTimer = null;
+    }
+  }
+
+  /**
+   * Show the playback controls and hide them again after a period of inactivity
+   */
+  showControls() {
+    document.body.classList.add("controls-visible");
+    clearTimeout(this.controlsTimer);
+    this.controlsTimer = setTimeout(() => {
+      document.body.classList.remove("controls-visible");
+    }, CONTROLS_HIDE_DELAY);
+  }
+
+  /**
+   * Seek relative to the current position
+   * @param {number} offset - Seconds to skip (negative to go back)
+   * @param {Function} onCommand - Command callback
+   */
+  seekBy(offset, onCommand) {
+    const elapsed = this.cache.getElapsedTime();
+    if (elapsed === null) {
+      return;
+    }
+    const max = this.cache.duration !== null ? this.cache.duration : Infinity;
+    onCommand("seek", { position: Math.min(Math.max(elapsed + offset, 0), max) });
+  }
+
+  /**
+   * Wire up on-screen buttons, progress bar seeking and keyboard shortcuts
+   * Keys: Space/K toggle, N/P next/previous, Arrow Left/Right seek 10s
+   * (Shift+Arrow for previous/next)
+   * @param {Function} onCommand - Callback (command, body) that sends a playback command
+   */
+  bindControls(onCommand) {
+    // Buttons declare their command in data-command
+    document.querySelectorAll("#controls [data-command]").forEach((button) => {
+      button.addEventListener("click", (event) => {
+        event.stopPropagation();
+        this.showControls();
+        onCommand(button.dataset.command);
+      });
+    });
+
+    // Tap or click on the progress bar to seek
+    document.querySelector(".progress-bar").addEventListener("click", (event) => {
+      if (!this.cache.duration) {
+        return;
+      }
+      const rect = event.currentTarget.getBoundingClientRect();
+      const fraction = (event.clientX - rect.left) / rect.width;
+      onCommand("seek", { position: fraction * this.cache.duration });
+    });
+
+    // Reveal controls on any pointer activity (touch, click or mouse movement)
+    document.addEventListener("pointerdown", () => this.showControls());
+    document.addEventListener("pointermove", () => this.showControls());
+
+    document.addEventListener("keydown", (event) => {
+      if (event.target.closest("button") && (event.key === " " || event.key === "Enter")) {
+        return; // Let focused buttons handle their own activation
+      }
+
+      const shortcuts = {
+        " ": () => onCommand("toggle"),
+        k: () => onCommand("toggle"),
+        n: () => onCommand("next"),
+        p: () => onCommand("previous"),
+        ArrowRight: () => (event.shiftKey ? onCommand("next") : this.seekBy(SEEK_STEP, onCommand)),
+        ArrowLeft: () => (event.shiftKey ? onCommand("previous") : this.seekBy(-SEEK_STEP, onCommand))
+      };
+      const action = shortcuts[event.key.length === 1 ? event.key.toLowerCase() : event.key];
+      if (action) {
+        event.preventDefault();
+        this.showControls();
+        action();
+      }
+    });
+  }
+
+  /**
+   * Render the "recently played" strip
+   * @param {Array} items - History entries from /api/history, newest first
+   */
+  updateHistory(items) {
+    const history = document.getElementById("history");
+    const list = document.getElementById("history-list");
+
+    list.replaceChildren(...items.map((entry) => {
+      const item = document.createElement("li");
+      item.className = "history-item";
+      item.title = `${entry.title} - ${entry.artist}`;
+
+      let cover;
+      if (entry.cover) {
+        cover = document.createElement("img");
+        // Small variant - the original can be thousands of pixels wide
+        cover.src = entry.cover.startsWith("/api/cover/")
+          ? `${entry.cover}?size=${Math.ceil(HISTORY_COVER_SIZE * (window.devicePixelRatio || 1))}`
+          : entry.cover;
+        cover.alt = `Cover for ${entry.title}`;
+        cover.loading = "lazy";
+      } else {
+        cover = document.createElement("div");
+        cover.className = "history-cover-placeholder";
+      }
+
+      const title = document.createElement("span");
+      title.className = "history-title-text";
+      title.textContent = entry.title || "Unknown title";
+
+      const artist = document.createElement("span");
+      artist.className = "history-artist";
+      artist.textContent = entry.artist;
+
+      item.append(cover, title, artist);
+      return item;
+    }));
+
+    history.classList.toggle("hidden", items.length === 0);
+  }
+
   /**
    * Update UI to show "stopped" state when no music is playing
    * Only updates if we're not already in stopped state
@@ -175,7 +490,8 @@ class UIUpdater {
       this.cache.currentSource = "";
     }
     
-    // Clear cover image
+    // Clear cover image, including one still fading in
+    document.querySelectorAll(".cover-next").forEach((next) => next.remove());
     if (this.cache.currentCoverUrl) {
       cover.src = "";
       this.cache.currentCoverUrl = null;
@@ -194,17 +510,39 @@ class UIUpdater {
 
   /**
    * Main UI update function - orchestrates all UI updates
+   * When the cover changes, the new artwork is preloaded off-DOM while the
+   * previous cover stays up; cover, text and colors then change together
    * @param {Object} data - Track data from API
    * @param {Function} onColorExtract - Callback to extract colors from cover
    * @param {Function} onResetColors - Callback to reset colors to default
+   * @returns {Promise} - Resolves once the new track is shown
    */
-  updateUI(data, onColorExtract, onResetColors) {
-    if (data.status === "playing") {
-      // Update UI for playing state
-      this.updateTextElements(data);
-      this.updateCoverImage(data, onColorExtract);
+  async updateUI(data, onColorExtract, onResetColors) {
+    const transition = ++this.transitionId;
+
+    if (data.status === "playing" || data.status === "paused") {
+      // Update UI for playing/paused state
+      this.cache.currentStatus = data.status;
+
+      let preloaded = true;
+      if (data.cover && this.cache.currentCoverUrl !== data.cover) {
+        // Nothing to keep on screen for the first cover - show the spinner meanwhile
+        if (!document.getElementById("cover").getAttribute("src")) {
+          this.togglePlaceholder(true);
+        }
+        preloaded = await this.preloadImage(this.getSizedCoverUrl(data.cover));
+        if (transition !== this.transitionId) {
+          return; // A newer update took over while loading
+        }
+      }
+
+      // Text, cover and colors start changing together
+      const textChanged = this.crossFadeText(() => this.updateTextElements(data), transition);
+      this.updateCoverImage(data, onColorExtract, preloaded);
+      await textChanged;
     } else {
       // Update UI for stopped state
+      this.cancelTextFade();
       this.updateStoppedState();
       onResetColors();
     }
@@ -0,0 +1,332 @@
+/**
+ * AudioVisualizer - Audio-reactive spectrum drawn behind the display
+ *
+ * Captures audio through the Web Audio API from the microphone or another
+ * input device (e.g. a loopback or line-in device carrying the music), and
+ * draws it on a full-screen canvas in the colors of the current track.
+ *
+ * Styles: bars (spectrum along the bottom), wave (waveform across the
+ * screen) and rings (radial spectrum around the cover). Chosen with
+ * ?visualizer=bars|wave|rings|off or the V key, and remembered in
+ * localStorage. ?audioDevice= selects an input by (part of) its label or id.
+ *
+ * Browsers only allow audio capture on https:// or localhost pages, and ask
+ * for microphone permission the first time.
+ */
+const VISUALIZER_STYLES = ["off", "bars", "wave", "rings"];
+const VISUALIZER_STORAGE_KEY = "visualizer"; // localStorage key of the selected style
+const VISUALIZER_BARS = 64; // Number of bars (bars and rings styles)
+const VISUALIZER_MIN_FREQUENCY = 40; // Hz, lowest frequency shown
+const VISUALIZER_MAX_FREQUENCY = 16000; // Hz, highest frequency shown
+const VISUALIZER_OPACITY = 0.7;
+
+class AudioVisualizer {
+  /**
+   * @param {Function} getColors - Returns the current track's colors, accent first (ThemeManager.getColors)
+   */
+  constructor(getColors) {
+    this.getColors = getColors;
+    this.canvas = document.getElementById("visualizer");
+    this.ctx = this.canvas.getContext("2d");
+    this.style = this.getInitialStyle();
+    this.audioContext = null;
+    this.analyser = null;
+    this.stream = null;
+    this.frequencyData = null;
+    this.waveformData = null;
+    this.frame = null;
+
+    window.addEventListener("resize", () => this.resize());
+    this.resize();
+  }
+
+  /**
+   * Style from the URL (?visualizer=rings), then localStorage, then off
+   * A style given in the URL is remembered for the next visit
+   * @returns {string} - One of VISUALIZER_STYLES
+   */
+  getInitialStyle() {
+    const requested = new URLSearchParams(window.location.search).get("visualizer");
+    if (VISUALIZER_STYLES.includes(requested)) {
+      this.saveStyle(requested);
+      return requested;
+    }
+    let saved = null;
+    try {
+      saved = window.localStorage.getItem(VISUALIZER_STORAGE_KEY);
+    } catch (error) {
+      // localStorage unavailable - start with the visualizer off
+    }
+    return VISUALIZER_STYLES.includes(saved) ? saved : "off";
+  }
+
+  /**
+   * Remember the selected style
+   * @param {string} style
+   */
+  saveStyle(style) {
+    try {
+      window.localStorage.setItem(VISUALIZER_STORAGE_KEY, style);
+    } catch (error) {
+      // Not persisted - the style still applies until the page is reloaded
+    }
+  }
+
+  /**
+   * Switch style, starting or stopping audio capture as needed
+   * @param {string} style - One of VISUALIZER_STYLES
+   */
+  async setStyle(style) {
+    if (!VISUALIZER_STYLES.includes(style)) {
+      return;
+    }
+    this.style = style;
+    this.saveStyle(style);
+    if (style === "off") {
+      this.stop();
+    } else {
+      await this.start();
+    }
+  }
+
+  /**
+   * Cycle through styles with the V key
+   * Browsers only let audio start after a user gesture, so the first key
+   * press or tap also resumes a suspended audio context
+   */
+  bindShortcut() {
+    document.addEventListener("keydown", (event) => {
+      if (event.key.toLowerCase() !== "v" || event.ctrlKey || event.metaKey || event.altKey) {
+        this.resume();
+        return;
+      }
+      const next = VISUALIZER_STYLES[(VISUALIZER_STYLES.indexOf(this.style) + 1) % VISUALIZER_STYLES.length];
+      console.log(`Visualizer: ${next}`);
+      this.setStyle(next);
+    });
+    document.addEventListener("pointerdown", () => this.resume());
+  }
+
+  /**
+   * Resume the audio context if the browser suspended it until a user gesture
+   */
+  resume() {
+    if (this.audioContext && this.audioContext.state === "suspended") {
+      this.audioContext.resume();
+    }
+  }
+
+  /**
+   * Find the input device requested with ?audioDevice=
+   * Device labels are only available once microphone permission was granted
+   * @returns {Promise<string|null>} - Device id, or null for the default input
+   */
+  async findDevice() {
+    const wanted = new URLSearchParams(window.location.search).get("audioDevice");
+    if (!wanted) {
+      return null;
+    }
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const inputs = devices.filter((device) => device.kind === "audioinput");
+    const match = inputs.find((device) => device.deviceId === wanted) ||
+      inputs.find((device) => device.label.toLowerCase().includes(wanted.toLowerCase()));
+    if (!match) {
+      console.log(`Audio device "${wanted}" not found. Available:`, inputs.map((device) => device.label || device.deviceId));
+      return null;
+    }
+    return match.deviceId;
+  }
+
+  /**
+   * Start audio capture and drawing
+   */
+  async start() {
+    if (this.style === "off") {
+      return;
+    }
+
+    if (!this.analyser) {
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        console.log("Audio capture unavailable - the visualizer needs https:// or localhost");
+        return;
+      }
+
+      try {
+        // Processing meant for voice calls would flatten the music
+        const constraints = { echoCancellation: false, noiseSuppression: false, autoGainControl: false };
+        this.stream = await navigator.mediaDevices.getUserMedia({ audio: constraints });
+
+        // Switch to the requested device once labels are visible
+        const deviceId = await this.findDevice();
+        if (deviceId && this.stream.getAudioTracks()[0].getSettings().deviceId !== deviceId) {
+          this.stream.getTracks().forEach((track) => track.stop());
+          this.stream = await navigator.mediaDevices.getUserMedia({ audio: { ...constraints, deviceId: { exact: deviceId } } });
+        }
+      } catch (error) {
+        console.log("Failed to capture audio:", error);
+        return;
+      }
+
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      this.analyser = this.audioContext.createAnalyser();
+      this.analyser.fftSize = 2048;
+      this.analyser.smoothingTimeConstant = 0.8;
+      // Not connected to the destination - captured audio must not be played back
+      this.audioContext.createMediaStreamSource(this.stream).connect(this.analyser);
+      this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+      this.waveformData = new Uint8Array(this.analyser.fftSize);
+    }
+
+    this.resume();
+    this.canvas.classList.remove("hidden");
+    if (!this.frame) {
+      this.draw();
+    }
+  }
+
+  /**
+   * Stop drawing and release the input device
+   */
+  stop() {
+    cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.canvas.classList.add("hidden");
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+      this.analyser = null;
+    }
+  }
+
+  /**
+   * Match the canvas to the window at the device's pixel density
+   */
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+    this.canvas.width = Math.round(window.innerWidth * ratio);
+    this.canvas.height = Math.round(window.innerHeight * ratio);
+    this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  }
+
+  /**
+   * Spectrum reduced to VISUALIZER_BARS levels on a logarithmic frequency
+   * scale, so bass and treble get a fair share of the bars
+   * @returns {number[]} - Levels from 0 to 1
+   */
+  getBarLevels() {
+    this.analyser.getByteFrequencyData(this.frequencyData);
+    const binWidth = this.audioContext.sampleRate / 2 / this.frequencyData.length;
+    const ratio = VISUALIZER_MAX_FREQUENCY / VISUALIZER_MIN_FREQUENCY;
+    const levels = [];
+    for (let i = 0; i < VISUALIZER_BARS; i++) {
+      const from = Math.floor(VISUALIZER_MIN_FREQUENCY * Math.pow(ratio, i / VISUALIZER_BARS) / binWidth);
+      const to = Math.max(from + 1, Math.floor(VISUALIZER_MIN_FREQUENCY * Math.pow(ratio, (i + 1) / VISUALIZER_BARS) / binWidth));
+      let peak = 0;
+      for (let bin = from; bin < to && bin < this.frequencyData.length; bin++) {
+        peak = Math.max(peak, this.frequencyData[bin]);
+      }
+      levels.push(peak / 255);
+    }
+    return levels;
+  }
+
+  /**
+   * Draw one frame in the current style
+   */
+  draw() {
+    this.frame = requestAnimationFrame(() => this.draw());
+
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const colors = this.getColors();
+    this.ctx.clearRect(0, 0, width, height);
+    this.ctx.globalAlpha = VISUALIZER_OPACITY;
+
+    if (this.style === "bars") {
+      this.drawBars(width, height, colors);
+    } else if (this.style === "wave") {
+      this.drawWave(width, height, colors);
+    } else if (this.style === "rings") {
+      this.drawRings(colors);
+    }
+  }
+
+  /**
+   * Spectrum bars along the bottom of the screen
+   */
+  drawBars(width, height, colors) {
+    const levels = this.getBarLevels();
+    const barWidth = width / levels.length;
+    const maxHeight = height * 0.35;
+
+    const gradient = this.ctx.createLinearGradient(0, height, 0, height - maxHeight);
+    gradient.addColorStop(0, colors[1] || colors[0]);
+    gradient.addColorStop(1, colors[0]);
+    this.ctx.fillStyle = gradient;
+
+    levels.forEach((level, index) => {
+      const barHeight = Math.max(2, level * maxHeight);
+      this.ctx.fillRect(index * barWidth + 1, height - barHeight, barWidth - 2, barHeight);
+    });
+  }
+
+  /**
+   * Waveform across the middle of the screen
+   */
+  drawWave(width, height, colors) {
+    this.analyser.getByteTimeDomainData(this.waveformData);
+    const amplitude = height * 0.25;
+
+    const gradient = this.ctx.createLinearGradient(0, 0, width, 0);
+    colors.forEach((color, index) => gradient.addColorStop(colors.length > 1 ? index / (colors.length - 1) : 0, color));
+    this.ctx.strokeStyle = gradient;
+    this.ctx.lineWidth = 3;
+    this.ctx.lineJoin = "round";
+
+    this.ctx.beginPath();
+    const step = width / (this.waveformData.length - 1);
+    this.waveformData.forEach((value, index) => {
+      const y = height / 2 + ((value - 128) / 128) * amplitude;
+      if (index === 0) {
+        this.ctx.moveTo(0, y);
+      } else {
+        this.ctx.lineTo(index * step, y);
+      }
+    });
+    this.ctx.stroke();
+  }
+
+  /**
+   * Radial spectrum around the cover, mirrored so it is symmetric
+   */
+  drawRings(colors) {
+    const cover = document.querySelector(".cover-container");
+    if (!cover) {
+      return;
+    }
+    const rect = cover.getBoundingClientRect();
+    const centerX = rect.left + rect.width / 2;
+    const centerY = rect.top + rect.height / 2;
+    const radius = Math.max(rect.width, rect.height) / 2 + 12;
+    const maxLength = radius * 0.35;
+
+    const levels = this.getBarLevels();
+    const spokes = levels.concat(levels.slice().reverse());
+    this.ctx.lineWidth = Math.max(2, (2 * Math.PI * radius) / spokes.length - 3);
+    this.ctx.lineCap = "round";
+
+    spokes.forEach((level, index) => {
+      const angle = (index / spokes.length) * 2 * Math.PI - Math.PI / 2;
+      const length = 2 + level * maxLength;
+      this.ctx.strokeStyle = colors[Math.floor(level * colors.length) % colors.length];
+      this.ctx.beginPath();
+      this.ctx.moveTo(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+      this.ctx.lineTo(centerX + Math.cos(angle) * (radius + length), centerY + Math.sin(angle) * (radius + length));
+      this.ctx.stroke();
+    });
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * AccessControl: scopes, proxy handling, pairing, revocation and rate limits
+ *
+ * Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AccessControl = require('../services/access-control');
+
+let dataDir = null;
+
+beforeEach((t) => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'album-visualizer-test-'));
+  // Pairing prints QR codes, keep them out of the test output
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Minimal stand-in for an Express request
+ * @param {Object} [options]
+ * @param {string} [options.ip] - Client address
+ * @param {Object} [options.headers] - Headers by lower-case name
+ * @returns {Object}
+ */
+function fakeRequest({ ip = '10.0.0.5', headers = {} } = {}) {
+  return { ip, query: {}, get: (name) => headers[name.toLowerCase()] };
+}
+
+/**
+ * Serve an app on a free port for the duration of a test
+ * @param {Object} t - Test context
+ * @param {Function} app - Express app
+ * @returns {Promise<string>} - Base URL
+ */
+function listen(t, app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    t.after(() => server.close());
+  });
+}
+
+test('grants scopes by token and keeps reading open without ACCESS_TOKEN', () => {
+  const access = new AccessControl({ controlToken: 'ctl', trustLocalhost: false, dataDir });
+  assert.equal(access.authenticate(fakeRequest()).scope, 'read');
+  assert.equal(access.authenticate(fakeRequest({ headers: { authorization: 'Bearer ctl' } })).scope, 'control');
+  assert.equal(access.authenticate(fakeRequest({ headers: { authorization: 'Bearer wrong' } })).scope, 'read');
+
+  const locked = new AccessControl({ readToken: 'secret', controlToken: 'ctl', trustLocalhost: false, dataDir });
+  assert.equal(locked.authenticate(fakeRequest()).scope, null);
+  assert.equal(locked.authenticate(fakeRequest({ headers: { authorization: 'Bearer secret' } })).scope, 'read');
+});
+
+test('trusts only loopback addresses as local', () => {
+  const access = new AccessControl({ readToken: 'secret', dataDir });
+  assert.equal(AccessControl.isLocal(fakeRequest({ ip: '127.0.0.1' })), true);
+  assert.equal(AccessControl.isLocal(fakeRequest({ ip: '::ffff:127.0.0.1' })), true);
+  assert.equal(access.authenticate(fakeRequest({ ip: '::1' })).scope, 'control');
+  assert.equal(access.authenticate(fakeRequest({ ip: '192.168.1.20' })).scope, null);
+});
+
+test('refuses TRUST_PROXY=true', () => {
+  assert.throws(() => AccessControl.parseTrustProxy('true'), /TRUST_PROXY=true/);
+  assert.equal(AccessControl.parseTrustProxy('loopback'), 'loopback');
+  assert.equal(AccessControl.parseTrustProxy('2'), 2);
+});
+
+test('ignores a spoofed X-Forwarded-For: 127.0.0.1 behind a trusted proxy', async (t) => {
+  const access = new AccessControl({ readToken: 'secret', controlToken: 'ctl', dataDir });
+  const app = express();
+  app.set('trust proxy', AccessControl.parseTrustProxy('loopback'));
+  app.use(access.identify());
+  app.get('/api/devices', access.require('control'), (req, res) => res.json({ devices: [] }));
+  const baseUrl = await listen(t, app);
+
+  // The client claims to be local; the proxy on this machine appends the real address
+  const spoofed = await fetch(`${baseUrl}/api/devices`, { headers: { 'X-Forwarded-For': '127.0.0.1, 10.0.0.5' } });
+  assert.equal(spoofed.status, 401);
+
+  const withToken = await fetch(`${baseUrl}/api/devices`, { headers: { 'X-Forwarded-For': '10.0.0.5', Authorization: 'Bearer ctl' } });
+  assert.equal(withToken.status, 200);
+});
+
+test('pairs a display with the code shown on the host', async () => {
+  const access = new AccessControl({ readToken: 'secret', dataDir });
+  const prompts = [];
+  access.on('pairing', prompt => prompts.push(prompt));
+
+  await access.startPairing('http://192.0.2.2:5000');
+  const { code } = access.getPairingPrompt();
+  assert.equal(prompts.length, 1);
+  assert.equal(access.getPairingPrompt().url, `http://192.0.2.2:5000/pair?code=${code}`);
+
+  const paired = await access.pair(code, 'Kitchen tablet');
+  assert.equal(paired.device.scope, 'read');
+  assert.equal(access.getPairingPrompt(), null);
+  assert.equal(access.checkToken(paired.token).scope, 'read');
+
+  const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'devices.json'), 'utf8'));
+  assert.equal(stored.length, 1);
+  assert.equal(stored[0].tokenHash.length, 64);
+  assert.equal(JSON.stringify(stored).includes(paired.token), false);
+});
+
+test('replaces the pairing code after too many wrong guesses', async () => {
+  const access = new AccessControl({ readToken: 'secret', dataDir });
+  await access.startPairing('http://192.0.2.2:5000');
+  const first = access.getPairingPrompt().code;
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal(await access.pair('not a code', 'Guesser'), null);
+  }
+  const second = access.getPairingPrompt().code;
+  assert.notEqual(second, first);
+  assert.equal(await access.pair(first, 'Guesser'), null);
+  assert.ok(await access.pair(second, 'Kitchen tablet'));
+});
+
+test('revoking a device rejects its token and announces the revocation', async () => {
+  const access = new AccessControl({ readToken: 'secret', dataDir });
+  await access.startPairing('http://192.0.2.2:5000');
+  const paired = await access.pair(access.getPairingPrompt().code, 'Kitchen tablet');
+
+  const revoked = [];
+  access.on('revoked', id => revoked.push(id));
+  assert.equal(await access.revoke(paired.device.id), true);
+  assert.deepEqual(revoked, [paired.device.id]);
+  assert.equal(access.checkToken(paired.token), null);
+  assert.deepEqual(access.listDevices(), []);
+  assert.equal(await access.revoke(paired.device.id), false);
+
+  // Still revoked after a restart
+  const restarted = new AccessControl({ readToken: 'secret', dataDir });
+  await restarted.load();
+  assert.equal(restarted.checkToken(paired.token), null);
+});
+
+test('rate limits each client separately', async (t) => {
+  const access = new AccessControl({ dataDir });
+  const app = express();
+  app.set('trust proxy', 'loopback');
+  app.use(access.rateLimit(2));
+  app.get('/api/now', (req, res) => res.json({ status: 'stopped' }));
+  const baseUrl = await listen(t, app);
+
+  const from = (ip) => fetch(`${baseUrl}/api/now`, { headers: { 'X-Forwarded-For': ip } });
+  assert.equal((await from('10.0.0.5')).status, 200);
+  assert.equal((await from('10.0.0.5')).status, 200);
+  const limited = await from('10.0.0.5');
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.equal((await limited.json()).error.code, 'RATE_LIMITED');
+  assert.equal((await from('10.0.0.6')).status, 200);
+});
@@ -0,0 +1,136 @@
+/**
+ * Artwork downloads through the cover chain and the artwork cache
+ *
+ * Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { registerCoverProvider, resolveCover } = require('../covers');
+const ArtworkCache = require('../covers/cache');
+
+// 1x1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+const PLAYER_COVER = `data:image/png;base64,${PNG.toString('base64')}`;
+
+let dir = null;
+let artworkUrl = null;
+let caches = []; // Caches of the current test, saved before their directory is removed
+
+beforeEach((t) => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'album-visualizer-test-'));
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+afterEach(async () => {
+  await Promise.all(caches.map(cache => cache.save()));
+  caches = [];
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Artwork cache in the test's directory
+ * @param {Object} [options] - ArtworkCache options
+ * @returns {ArtworkCache}
+ */
+function createCache(options = {}) {
+  const cache = new ArtworkCache({ dir, ...options });
+  caches.push(cache);
+  return cache;
+}
+
+// Finds artwork at whatever URL the test serves
+registerCoverProvider({
+  name: 'remote',
+  label: 'Remote',
+  isAvailable: () => true,
+  lookup: async () => ({ url: artworkUrl, score: 1 })
+});
+
+/**
+ * Serve artwork with a fixed status and count the downloads
+ * @param {Object} t - Test context
+ * @param {number} status - 200 serves a PNG, anything else an empty error
+ * @returns {Promise<Object>} - { url, hits() }
+ */
+function startArtworkServer(t, status) {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    if (status === 200) {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(PNG);
+    } else {
+      res.writeHead(status);
+      res.end();
+    }
+  });
+  t.after(() => server.close());
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/cover-${status}.png`,
+      hits: () => hits
+    }));
+  });
+}
+
+/**
+ * Resolve the cover like the monitor does on every poll
+ * @param {ArtworkCache} cache
+ * @returns {Promise<Object>} - { cover, coverSource, coverScore }
+ */
+function poll(cache) {
+  const track = { artist: 'Artist', album: 'Album', title: 'Title', cover: PLAYER_COVER, provider: 'simulated' };
+  return resolveCover(track, { order: ['remote', 'player'], cache });
+}
+
+test('stores downloaded artwork once', async (t) => {
+  const server = await startArtworkServer(t, 200);
+  artworkUrl = server.url;
+  const cache = createCache();
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await poll(cache)).coverSource, 'Remote');
+  }
+  assert.equal(server.hits(), 1);
+  const image = await cache.getImageById(ArtworkCache.imageId(server.url));
+  assert.equal(image.contentType, 'image/png');
+  assert.deepEqual(image.buffer, PNG);
+});
+
+test('does not retry a failed download on every poll and falls back to the next provider', async (t) => {
+  const server = await startArtworkServer(t, 404);
+  artworkUrl = server.url;
+  const cache = createCache();
+
+  for (let i = 0; i < 10; i++) {
+    const result = await poll(cache);
+    assert.equal(result.coverSource, 'simulated');
+    assert.equal(result.cover, PLAYER_COVER);
+  }
+  assert.equal(server.hits(), 1);
+  await assert.rejects(cache.getImage(server.url), /404/);
+  assert.equal(server.hits(), 1);
+});
+
+test('tries a failed download again once the "not found" TTL has passed', async (t) => {
+  const server = await startArtworkServer(t, 404);
+  artworkUrl = server.url;
+  const cache = createCache({ negativeTtl: 50 });
+
+  await poll(cache);
+  assert.equal(server.hits(), 1);
+  await new Promise(resolve => setTimeout(resolve, 60));
+  await cache.getImage(server.url).catch(() => {});
+  assert.equal(server.hits(), 2);
+});
+
+test('rejects data that is not an image', async () => {
+  const cache = createCache();
+  await assert.rejects(cache.getImage('data:text/plain;base64,aGVsbG8='), /Not an image/);
+});
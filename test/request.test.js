@@ -0,0 +1,158 @@
+/**
+ * Outbound requests (covers/request.js): coalescing, retries, circuit breaker,
+ * and how the cover chain caches rejected lookups
+ *
+ * Run with `npm test`.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createClient, requestStats, isClientError, CircuitOpenError } = require('../covers/request');
+const { registerCoverProvider, resolveCover } = require('../covers');
+const ArtworkCache = require('../covers/cache');
+
+const COOLDOWN = 100; // Short circuit cool-down for the tests (ms)
+
+let clientCount = 0;
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+/**
+ * Start an HTTP server answering with the given status codes in turn
+ * (the last one repeats) and counting requests
+ * @param {Object} t - Test context
+ * @param {number[]} statuses - Status codes to answer with
+ * @param {number} [delay] - Response delay (ms)
+ * @returns {Promise<Object>} - { url, hits() }
+ */
+function startServer(t, statuses, delay = 0) {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    const status = statuses[Math.min(hits, statuses.length - 1)];
+    hits++;
+    setTimeout(() => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status }));
+    }, delay);
+  });
+  t.after(() => server.close());
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/`,
+      hits: () => hits
+    }));
+  });
+}
+
+/**
+ * A client of its own, as clients are shared by name
+ * @param {Object} [options] - Client options
+ * @returns {RequestClient}
+ */
+function newClient(options = {}) {
+  clientCount++;
+  return createClient(`test-${clientCount}`, { retryDelay: 10, cooldown: COOLDOWN, ...options });
+}
+
+/**
+ * State of a client as reported to /api/health
+ * @param {RequestClient} client
+ * @returns {string}
+ */
+function stateOf(client) {
+  return requestStats().find(stats => stats.name === client.name).state;
+}
+
+test('coalesces identical requests in flight', async (t) => {
+  const server = await startServer(t, [200], 50);
+  const client = newClient();
+  const responses = await Promise.all([client.get(server.url), client.get(server.url), client.get(server.url)]);
+  assert.equal(server.hits(), 1);
+  assert.equal(client.stats.coalesced, 2);
+  assert.ok(responses.every(response => response.data.status === 200));
+});
+
+test('retries transient errors but not client errors', async (t) => {
+  const flaky = await startServer(t, [503, 200]);
+  const client = newClient();
+  assert.equal((await client.get(flaky.url)).status, 200);
+  assert.equal(flaky.hits(), 2);
+  assert.equal(client.stats.retries, 1);
+
+  const missing = await startServer(t, [404]);
+  await assert.rejects(client.get(missing.url), error => isClientError(error));
+  assert.equal(missing.hits(), 1);
+  assert.equal(stateOf(client), 'closed');
+});
+
+test('opens the circuit after repeated failures and recovers after the cool-down', async (t) => {
+  const server = await startServer(t, [500, 500, 500, 200]);
+  const client = newClient({ retries: 0, failureThreshold: 3 });
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(client.get(server.url));
+  }
+  assert.equal(stateOf(client), 'open');
+  await assert.rejects(client.get(server.url), CircuitOpenError);
+  assert.equal(server.hits(), 3);
+
+  await new Promise(resolve => setTimeout(resolve, COOLDOWN + 20));
+  assert.equal(stateOf(client), 'recovering');
+  assert.equal((await client.get(server.url)).status, 200);
+  assert.equal(stateOf(client), 'closed');
+});
+
+test('a failed trial request opens the circuit again right away', async (t) => {
+  const server = await startServer(t, [500]);
+  const client = newClient({ retries: 0, failureThreshold: 1 });
+
+  await assert.rejects(client.get(server.url));
+  await new Promise(resolve => setTimeout(resolve, COOLDOWN + 20));
+  await assert.rejects(client.get(server.url), error => !(error instanceof CircuitOpenError));
+  assert.equal(stateOf(client), 'open');
+});
+
+test('counts rejected credentials as failures', async (t) => {
+  const server = await startServer(t, [403]);
+  const client = newClient({ failureThreshold: 2 });
+
+  await assert.rejects(client.get(server.url));
+  await assert.rejects(client.get(server.url));
+  await assert.rejects(client.get(server.url), CircuitOpenError);
+  assert.equal(server.hits(), 2);
+});
+
+test('caches a rejected lookup instead of repeating it on every poll', async (t) => {
+  const server = await startServer(t, [403]);
+  const client = newClient({ failureThreshold: 100 });
+  registerCoverProvider({
+    name: 'rejecting',
+    label: 'Rejecting',
+    isAvailable: () => true,
+    lookup: async () => {
+      await client.get(server.url);
+      return null;
+    }
+  });
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'album-visualizer-test-'));
+  const cache = new ArtworkCache({ dir });
+  t.after(async () => {
+    await cache.save();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const track = { artist: 'Artist', album: 'Album', title: 'Title', cover: '' };
+  for (let i = 0; i < 5; i++) {
+    const result = await resolveCover(track, { order: ['rejecting'], cache });
+    assert.equal(result.cover, '');
+  }
+  assert.equal(server.hits(), 1);
+});
@@ -0,0 +1,62 @@
+/**
+ * Cover search match scoring (covers/scoring.js)
+ *
+ * Run with `npm test`.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MIN_MATCH_SCORE, similarity, scoreCandidate, rankMatches, pickBestMatch } = require('../covers/scoring');
+
+const TRACK = { artist: 'Radiohead', album: 'OK Computer', title: 'Airbag' };
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('compares text case-insensitively', () => {
+  assert.equal(similarity('OK Computer', 'ok computer'), 1);
+  assert.equal(similarity('', 'OK Computer'), 0);
+  assert.ok(similarity('OK Computer', 'OK Computer OKNOTOK') > 0.5);
+  assert.ok(similarity('OK Computer', 'Kid A') < 0.3);
+});
+
+test('scores an exact artist and album match as 1', () => {
+  assert.equal(scoreCandidate(TRACK, { artist: 'Radiohead', album: 'OK Computer' }), 1);
+});
+
+test('rejects results from another artist', () => {
+  const candidate = { artist: 'Coldplay', album: 'OK Computer' };
+  assert.ok(scoreCandidate(TRACK, candidate) < MIN_MATCH_SCORE);
+  assert.equal(pickBestMatch(TRACK, [candidate]), null);
+});
+
+test('prefers the original album over live albums and compilations', () => {
+  const original = { artist: 'Radiohead', album: 'OK Computer' };
+  const live = { artist: 'Radiohead', album: 'OK Computer Live in Tokyo' };
+  const best = { artist: 'Radiohead', album: 'The Best Of' };
+  assert.ok(scoreCandidate(TRACK, live) < scoreCandidate(TRACK, original));
+  assert.equal(pickBestMatch(TRACK, [best, live, original]).candidate, original);
+});
+
+test('does not penalize a live album the track itself is on', () => {
+  const track = { artist: 'Radiohead', album: 'I Might Be Wrong: Live Recordings' };
+  assert.equal(scoreCandidate(track, { artist: 'Radiohead', album: 'I Might Be Wrong: Live Recordings' }), 1);
+});
+
+test('matches the track title when there is no album', () => {
+  const single = { artist: 'Radiohead', title: 'Airbag' };
+  assert.equal(scoreCandidate({ artist: 'Radiohead', title: 'Airbag' }, single), 1);
+  assert.equal(scoreCandidate({ artist: 'Radiohead', title: 'Airbag' }, { artist: 'Radiohead', album: 'Airbag' }), 1);
+});
+
+test('uses the release year to break ties', () => {
+  const track = { ...TRACK, year: 1997 };
+  const reissue = { artist: 'Radiohead', album: 'OK Computer', year: 2009 };
+  const original = { artist: 'Radiohead', album: 'OK Computer', year: 1997 };
+  assert.ok(scoreCandidate(track, original) > scoreCandidate(track, reissue));
+
+  // Without a year on the track, equal scores go to the earliest release
+  const ranked = rankMatches(TRACK, [reissue, original]);
+  assert.deepEqual(ranked.map(match => match.candidate.year), [1997, 2009]);
+});
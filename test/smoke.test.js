@@ -0,0 +1,143 @@
+/**
+ * Smoke test: starts the server with the simulated player and the offline
+ * cover fixtures from examples/demo, so it runs without a media player or
+ * network access, and checks the main API paths end to end.
+ *
+ * Run with `npm test`.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DEMO_DIR = path.join(ROOT, 'examples', 'demo');
+const STARTUP_TIMEOUT = 15000; // ms
+
+let server = null;
+let baseUrl = null;
+let dataDir = null;
+let output = '';
+
+/**
+ * Find a free TCP port
+ * @returns {Promise<number>}
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Fetch JSON from the server
+ * @param {string} pathname
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} - { status, body }
+ */
+async function request(pathname, options) {
+  const response = await fetch(`${baseUrl}${pathname}`, options);
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Wait until the server answers and has polled the simulated player
+ */
+async function waitForServer() {
+  const deadline = Date.now() + STARTUP_TIMEOUT;
+  while (Date.now() < deadline) {
+    try {
+      const { body } = await request('/api/now');
+      if (body.status === 'playing') {
+        return;
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`Server did not start within ${STARTUP_TIMEOUT}ms:\n${output}`);
+}
+
+before(async () => {
+  const port = await getFreePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'album-visualizer-test-'));
+
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: '127.0.0.1',
+      DATA_DIR: dataDir,
+      NOW_PLAYING_PROVIDER: 'simulated',
+      SIMULATED_PLAYLIST: path.join(DEMO_DIR, 'playlist.yaml'),
+      COVER_FIXTURES: path.join(DEMO_DIR, 'fixtures.yaml'),
+      COVER_PROVIDERS: 'player,itunes', // Only providers the fixtures cover, so nothing goes to the network
+      ACCESS_TOKEN: '',
+      CONTROL_TOKEN: '',
+      WEBHOOK_URLS: '',
+      MQTT_URL: '',
+      LASTFM_SCROBBLE: 'false'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  server.stdout.on('data', (chunk) => { output += chunk; });
+  server.stderr.on('data', (chunk) => { output += chunk; });
+
+  await waitForServer();
+});
+
+after(async () => {
+  // Wait for the exit so files written on shutdown don't race the cleanup
+  if (server && server.exitCode === null) {
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill('SIGTERM');
+    await exited;
+  }
+  if (dataDir) {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('reports the first track of the simulated playlist', async () => {
+  const { status, body } = await request('/api/now');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'playing');
+  assert.equal(body.title, 'Harbor Lights');
+  assert.equal(body.artist, 'The Night Ferries');
+  assert.equal(body.source, 'Simulator');
+  assert.match(body.cover, /^\/api\/cover\/[0-9a-f]{40}$/);
+});
+
+test('changes track on the next command', async () => {
+  const { status, body } = await request('/api/control/next', { method: 'POST' });
+  assert.equal(status, 200);
+  assert.equal(body.title, 'Fern Letters');
+
+  const now = await request('/api/now');
+  assert.equal(now.body.title, 'Fern Letters');
+});
+
+test('finds a cover through the iTunes fixtures', async () => {
+  const { body } = await request('/api/control/next', { method: 'POST' });
+  assert.equal(body.title, 'Dead Air');
+  assert.match(body.coverSource, /itunes/i);
+  assert.match(body.cover, /^\/api\/cover\/[0-9a-f]{40}$/);
+
+  const response = await fetch(`${baseUrl}${body.cover}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'image/png');
+  assert.ok((await response.arrayBuffer()).byteLength > 0);
+});